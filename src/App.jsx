@@ -2,11 +2,16 @@ import { useFlow, FLOW_STATES } from './context/FlowContext';
 import Header from './components/Header';
 import UnifiedBookingForm from './components/UnifiedBookingForm';
 import LogDisplay from './components/LogDisplay';
+import ScenarioRunner from './components/ScenarioRunner';
 import useLogger from './hooks/useLogger';
+import useRunArchive from './hooks/useRunArchive';
+import useTranslation from './hooks/useTranslation';
 
 function App() {
   const { flowState } = useFlow();
   useLogger(); // ensure logger hook initialises (no side-effect needed here)
+  useRunArchive(); // archive each run to the IndexedDB history
+  const { t } = useTranslation();
 
   return (
     <div className="min-h-screen bg-stripe-light">
@@ -26,12 +31,12 @@ function App() {
                 <svg className="w-16 h-16 text-green-500 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
-                <h2 className="text-2xl font-bold text-gray-800 mt-4">Booking Completed!</h2>
+                <h2 className="text-2xl font-bold text-gray-800 mt-4">{t('app.completedTitle')}</h2>
                 <p className="text-gray-600 mt-2">
-                  Your test booking has been successfully processed and completed.
+                  {t('app.completedBody')}
                 </p>
                 <p className="text-gray-500 mt-1 text-sm">
-                  Check the logs below for a detailed record of all API calls and responses.
+                  {t('app.completedLogs')}
                 </p>
               </div>
             </div>
@@ -44,17 +49,20 @@ function App() {
                 <svg className="w-16 h-16 text-red-500 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                 </svg>
-                <h2 className="text-2xl font-bold text-gray-800 mt-4">Error Occurred</h2>
+                <h2 className="text-2xl font-bold text-gray-800 mt-4">{t('app.errorTitle')}</h2>
                 <p className="text-gray-600 mt-2">
-                  An error was encountered during the booking process.
+                  {t('app.errorBody')}
                 </p>
                 <p className="text-gray-500 mt-1 text-sm">
-                  Please check the logs below for details and try again.
+                  {t('app.errorLogs')}
                 </p>
               </div>
             </div>
           )}
           
+          {/* Scenario Runner - unattended runs of the sample URLs */}
+          <ScenarioRunner />
+          
           {/* API Log Display - Always visible */}
           <LogDisplay />
         </div>
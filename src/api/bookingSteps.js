@@ -0,0 +1,248 @@
+import * as eveveApi from './eveve';
+import * as stripeApi from './stripe';
+import { toMajorUnits } from './money';
+import { DEFAULT_LANGUAGE, getLanguage } from '../i18n';
+import { FLOW_STATES } from '../context/flowStates';
+
+/**
+ * Booking flow steps shared by the booking form and the scenario runner.
+ *
+ * Each step makes the Eveve / Stripe calls for one stage of the flow and
+ * applies the result to FlowContext through the action creators passed in
+ * as `flow`, so an unattended run leaves FlowContext exactly as the same
+ * booking made through the form would. Steps throw when the call fails;
+ * what to show and log is left to the caller.
+ */
+
+// Intent statuses that count as authenticated (processing settles asynchronously)
+export const AUTHENTICATED_STATUSES = ['succeeded', 'processing'];
+
+// Give up if the intent still needs action after this many next_action rounds
+export const MAX_NEXT_ACTIONS = 3;
+
+/**
+ * Place the HOLD and store the booking
+ * @param {Object} flow - FlowContext action creators ({ setFlowState, setBooking })
+ * @param {Object} holdParams - Typed HOLD parameters (see toHoldParams)
+ * @param {Object} region - Eveve region
+ * @returns {Promise<Object>} - Booking data as stored in FlowContext
+ */
+export const holdBooking = async (flow, holdParams, region) => {
+  flow.setFlowState(FLOW_STATES.HOLDING);
+
+  const response = await eveveApi.hold(holdParams, region);
+  if (!response.data.ok) {
+    throw new Error(response.data.error || 'Booking hold failed');
+  }
+
+  const booking = {
+    uid: response.data.uid,
+    created: response.data.created,
+    until: response.data.until,
+    card: response.data.card,
+    perHead: response.data.perHead,
+    est: holdParams.est,
+    lng: holdParams.lng,
+    covers: holdParams.covers,
+    date: holdParams.date,
+    time: holdParams.time,
+    region,
+    // include area / event only when provided in the original hold parameters
+    ...(holdParams.area ? { area: holdParams.area } : {}),
+    ...(holdParams.event ? { event: holdParams.event } : {})
+  };
+
+  flow.setBooking(booking);
+  return booking;
+};
+
+/**
+ * Fetch the Stripe keys for the booking (pi-get)
+ * @param {Object} flow - FlowContext action creators ({ setFlowState, setStripeKeys })
+ * @param {Object} booking - Booking data
+ * @param {Object} customer - Customer details ({ firstName, lastName, email })
+ * @returns {Promise<Object>} - { clientSecret, publicKey, account, cust, customerDescription }
+ */
+export const fetchStripeKeys = async (flow, booking, customer) => {
+  flow.setFlowState(FLOW_STATES.AWAITING_STRIPE);
+
+  // Friendly customer description for the Stripe dashboard
+  const customerDescription = `${customer.firstName}_${customer.lastName}_-_${customer.email}`;
+
+  const response = await eveveApi.piGet({
+    est: booking.est || 'TestNZA',
+    uid: booking.uid,
+    type: 0,
+    desc: customerDescription,
+    created: booking.created
+  }, booking.region);
+
+  // Handle both old and new API field names for backward compatibility
+  const clientSecret = response.data.clientSecret || response.data.client_secret;
+  const publicKey = response.data.publishableKey || response.data.public_key || response.data.stripePK;
+  // Connected account the intent lives on ('' = platform account)
+  const account = response.data.account || null;
+
+  if (!clientSecret || !publicKey) {
+    throw new Error('Missing Stripe keys in pi-get response');
+  }
+
+  const keys = { clientSecret, publicKey, account, cust: response.data.cust };
+  flow.setStripeKeys(keys);
+  return { ...keys, customerDescription };
+};
+
+/**
+ * Fetch the deposit / no-show terms for the booking (deposit-get)
+ * @param {Object} flow - FlowContext action creators ({ setPaymentType })
+ * @param {Object} booking - Booking data
+ * @returns {Promise<Object>} - deposit-get response ({ code, total, currency, message, ... })
+ */
+export const fetchDepositInfo = async (flow, booking) => {
+  const response = await eveveApi.depositGet({
+    est: booking.est || 'TestNZA',
+    UID: booking.uid,
+    created: booking.created,
+    lang: getLanguage(booking.lng).eveve,
+    type: 0
+  }, booking.region);
+
+  if (!response.data.ok) {
+    throw new Error('Deposit-get request failed');
+  }
+
+  flow.setPaymentType(response.data);
+  return response.data;
+};
+
+/**
+ * Check the hold is still live before the card is charged (restore)
+ * @param {Object} booking - Booking data
+ * @returns {Promise<Object>} - { valid, tables }
+ */
+export const validateHold = async (booking) => {
+  const response = await eveveApi.restore({
+    est: booking.est,
+    uid: booking.uid,
+    type: 0
+  }, booking.region);
+
+  return { valid: !!response.data.ok, tables: response.data.table };
+};
+
+/**
+ * Confirm the card against the intent and work through any next_action
+ * (3-D Secure challenge) until it is authenticated; a redirect leaves the page
+ * @param {Object} flow - FlowContext action creators ({ setPaymentMethod })
+ * @param {string} clientSecret - Intent client secret from pi-get
+ * @param {Object|string} paymentMethod - Card input or PaymentMethod id, as for stripeApi.confirmIntent
+ * @param {Object} options - stripeApi.confirmIntent options plus onAuthentication(message, details), called
+ *   before and after each authentication step (for the log)
+ * @returns {Promise<Object>} - The authenticated SetupIntent / PaymentIntent
+ */
+export const confirmCard = async (flow, clientSecret, paymentMethod, { onAuthentication = () => {}, ...options } = {}) => {
+  const result = await stripeApi.confirmIntent(clientSecret, paymentMethod, { ...options, handleActions: false });
+  if (result.error) {
+    throw result.error;
+  }
+
+  let intent = result.setupIntent || result.paymentIntent;
+
+  for (let step = 1; intent.status === 'requires_action'; step++) {
+    if (step > MAX_NEXT_ACTIONS) {
+      throw new Error(`Authentication still required after ${MAX_NEXT_ACTIONS} attempts`);
+    }
+
+    const nextAction = intent.next_action || {};
+    onAuthentication(`Authentication required (step ${step})`, {
+      intentId: intent.id,
+      nextAction: nextAction.type,
+      ...(nextAction.use_stripe_sdk?.type ? { sdkAction: nextAction.use_stripe_sdk.type } : {}),
+      ...(nextAction.redirect_to_url ? { redirectUrl: nextAction.redirect_to_url.url } : {})
+    });
+
+    const actionResult = await stripeApi.handleNextAction(options.stripe, clientSecret);
+    if (actionResult.error) {
+      throw actionResult.error;
+    }
+
+    intent = actionResult.setupIntent || actionResult.paymentIntent;
+    onAuthentication(`Authentication step ${step} finished`, { intentId: intent.id, status: intent.status });
+  }
+
+  if (!AUTHENTICATED_STATUSES.includes(intent.status)) {
+    throw new Error(`Intent ${intent.id} ended in status ${intent.status}`);
+  }
+
+  flow.setPaymentMethod(intent.id);
+  return intent;
+};
+
+/**
+ * Send the customer details to the booking (update)
+ * @param {Object} booking - Booking data
+ * @param {Object} customer - Customer details from the form
+ * @returns {Promise<Object>} - update response
+ */
+export const updateBooking = async (booking, customer) => {
+  const response = await eveveApi.update({
+    est: booking.est,
+    uid: booking.uid,
+    lng: booking.lng || DEFAULT_LANGUAGE,
+    lastName: customer.lastName,
+    firstName: customer.firstName,
+    phone: customer.phone,
+    email: customer.email,
+    notes: customer.notes || '',
+    dietary: customer.dietary || '',
+    allergies: customer.allergies || '',
+    optem: customer.optem,
+    ...(booking.bookopt ? { bookopt: booking.bookopt } : {}),
+    ...(booking.guestopt ? { guestopt: booking.guestopt } : {})
+  }, booking.region);
+
+  if (!response.data.ok) {
+    throw new Error(response.data.error || 'Booking update failed');
+  }
+  return response.data;
+};
+
+/**
+ * Attach the confirmed intent to the booking (pm-id)
+ * @param {Object} booking - Booking data
+ * @param {string} paymentMethodId - Confirmed intent id (seti_… / pi_…)
+ * @param {Object} stripe - FlowContext stripe state ({ amount, currency } from deposit-get)
+ * @returns {Promise<Object>} - pm-id response
+ */
+export const attachPaymentMethod = async (booking, paymentMethodId, stripe) => {
+  if (!paymentMethodId) {
+    throw new Error('No payment method available to attach');
+  }
+
+  const response = await eveveApi.pmId({
+    est: booking.est,
+    uid: booking.uid,
+    created: booking.created,
+    pm: paymentMethodId,
+    total: stripe.amount,
+    totalFloat: toMajorUnits(stripe.amount, stripe.currency),
+    type: 0
+  }, booking.region);
+
+  if (!response.data.ok) {
+    throw new Error(response.data.error || 'Failed to attach payment method to booking');
+  }
+  return response.data;
+};
+
+export default {
+  AUTHENTICATED_STATUSES,
+  MAX_NEXT_ACTIONS,
+  holdBooking,
+  fetchStripeKeys,
+  fetchDepositInfo,
+  validateHold,
+  confirmCard,
+  updateBooking,
+  attachPaymentMethod,
+};
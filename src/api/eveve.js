@@ -1,4 +1,8 @@
 import axios from 'axios';
+import { createMockAdapter, MOCK_SCENARIOS } from './mockEveve';
+import { recordEntry, isReplaying, replayAdapter } from './har';
+import { getCurrentRun, isCurrentRun, createCancellationError } from './run';
+import { validateResponse } from './schemas';
 
 // Create axios instance for Eveve API calls
 const eveveApi = axios.create({
@@ -17,11 +21,108 @@ export const setApiLogger = (loggerFunction) => {
   logApiCallFunction = loggerFunction;
 };
 
+// Active mock scenario (null = live Eveve hosts)
+let mockScenario = null;
+
+/**
+ * Switch between the live Eveve API and the built-in mock backend
+ * @param {string|null} scenarioKey - Key of MOCK_SCENARIOS, or null for live
+ */
+export const setMockScenario = (scenarioKey) => {
+  mockScenario = scenarioKey && MOCK_SCENARIOS[scenarioKey] ? scenarioKey : null;
+};
+
+/**
+ * Get the active mock scenario key
+ * @returns {string|null} - Scenario key, or null when calling live hosts
+ */
+export const getMockScenario = () => mockScenario;
+
+// Retry policies per endpoint. `idempotent: false` endpoints (hold, pm-id)
+// are only retried when the request never reached Eveve (connection failure).
+const DEFAULT_RETRY_POLICY = {
+  retries: 2, // extra attempts after the first one
+  baseDelay: 300, // ms, doubled on every attempt
+  maxDelay: 4000, // ms cap before jitter
+  idempotent: true,
+};
+
+const retryPolicies = {
+  hold: { idempotent: false },
+  piGet: {},
+  depositGet: {},
+  pmId: { retries: 3, idempotent: false },
+  update: {},
+  restore: {},
+  ccRequest: { retries: 0 },
+};
+
+/**
+ * Override the retry policy for an endpoint
+ * @param {string} endpoint - Endpoint name (hold, piGet, depositGet, pmId, update, restore, ccRequest)
+ * @param {Object} policy - Partial policy ({ retries, baseDelay, maxDelay, idempotent })
+ */
+export const setRetryPolicy = (endpoint, policy) => {
+  retryPolicies[endpoint] = { ...retryPolicies[endpoint], ...policy };
+};
+
+/**
+ * Get the effective retry policy for an endpoint
+ * @param {string} endpoint - Endpoint name
+ * @returns {Object} - Retry policy
+ */
+export const getRetryPolicy = (endpoint) => ({
+  ...DEFAULT_RETRY_POLICY,
+  ...retryPolicies[endpoint],
+});
+
+// No response at all and not a timeout – the request never reached Eveve
+const isConnectionFailure = (error) =>
+  !error.response &&
+  !['ECONNABORTED', 'ETIMEDOUT', 'ERR_CANCELED'].includes(error.code);
+
+// Failures worth retrying on idempotent endpoints
+const isTransientFailure = (error) =>
+  isConnectionFailure(error) ||
+  ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) ||
+  error.response?.status === 429 ||
+  error.response?.status >= 500;
+
+// Exponential backoff with equal jitter: half fixed, half random
+const backoffDelay = (policy, attempt) => {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+// Requests are numbered so every attempt of one call can be grouped in the log
+let nextRequestId = 1;
+
 // Request interceptor
 eveveApi.interceptors.request.use(
   config => {
-    // Add timestamp to track request duration
-    config.metadata = { startTime: new Date() };
+    // Add timestamp to track request duration; keep the request id and run across retries
+    const previous = config.metadata || {};
+    const run = getCurrentRun();
+    config.metadata = {
+      startTime: new Date(),
+      requestId: previous.requestId || nextRequestId++,
+      attempt: (previous.attempt || 0) + 1,
+      runId: previous.runId || run.id,
+    };
+    
+    // Tie the request to the run so Reset / a new HOLD aborts it
+    if (!config.signal) {
+      config.signal = run.signal;
+    }
+    
+    // Answer from a loaded HAR, or the mock backend, instead of the network
+    if (isReplaying()) {
+      config.adapter = replayAdapter;
+      config.metadata.replay = true;
+    } else if (mockScenario) {
+      config.adapter = createMockAdapter(mockScenario);
+      config.metadata.mock = mockScenario;
+    }
     return config;
   },
   error => {
@@ -34,8 +135,30 @@ eveveApi.interceptors.response.use(
   response => {
     const duration = new Date() - response.config.metadata.startTime;
     
+    // Late response from a superseded run – drop it without logging
+    if (!isCurrentRun(response.config.metadata.runId)) {
+      return Promise.reject(createCancellationError());
+    }
+    
+    // Check the payload against the endpoint's response schema
+    const violations = validateResponse(response.config.endpoint, response.data);
+    response.violations = violations;
+    
+    // Record for HAR export
+    recordEntry({
+      source: 'eveve',
+      startTime: response.config.metadata.startTime,
+      method: response.config.method,
+      url: eveveApi.getUri(response.config),
+      params: response.config.params,
+      status: response.status,
+      statusText: response.statusText,
+      data: response.data,
+    });
+    
     // Log the API call if logger is set
     if (logApiCallFunction) {
+      const { requestId, attempt } = response.config.metadata;
       logApiCallFunction(
         `${response.config.method.toUpperCase()} ${response.config.url.split('?')[0]}`,
         {
@@ -43,35 +166,87 @@ eveveApi.interceptors.response.use(
           method: response.config.method,
           params: response.config.params,
           duration: `${duration}ms`,
+          ...(attempt > 1 ? { attempt } : {}),
+          ...(response.config.metadata.mock ? { mock: response.config.metadata.mock } : {}),
+          ...(response.config.metadata.replay ? { replay: true } : {}),
         },
-        response.data
+        response.data,
+        null,
+        {
+          group: requestId,
+          attempt,
+          ...(violations.length > 0 ? { endpoint: response.config.endpoint, violations } : {}),
+        }
       );
     }
     
     return response;
   },
-  error => {
+  async error => {
     const duration = error.config ? (new Date() - error.config.metadata.startTime) : 0;
+    const metadata = error.config?.metadata || {};
+    const policy = getRetryPolicy(error.config?.endpoint);
+    const retryable = policy.idempotent ? isTransientFailure(error) : isConnectionFailure(error);
+    const willRetry = !!error.config && retryable && metadata.attempt <= policy.retries;
+    
+    // Aborted, or belongs to a superseded run – nothing to log or retry
+    if (error.code === 'ERR_CANCELED' || (metadata.runId && !isCurrentRun(metadata.runId))) {
+      return Promise.reject(error.code === 'ERR_CANCELED' ? error : createCancellationError());
+    }
     
-    // Log the error if logger is set
+    // Record for HAR export (status 0 = no response received)
+    if (error.config) {
+      recordEntry({
+        source: 'eveve',
+        startTime: error.config.metadata.startTime,
+        method: error.config.method,
+        url: eveveApi.getUri(error.config),
+        params: error.config.params,
+        status: error.response?.status || 0,
+        statusText: error.response?.statusText || '',
+        data: error.response?.data,
+        error: error.message,
+      });
+    }
+    
+    const retryDelay = willRetry ? Math.round(backoffDelay(policy, metadata.attempt)) : null;
+    
+    // Log the error (or the failed attempt) if logger is set
     if (logApiCallFunction) {
+      const prefix = willRetry ? 'RETRY' : 'ERROR';
       logApiCallFunction(
-        `ERROR: ${error.config?.method.toUpperCase()} ${error.config?.url.split('?')[0]}`,
+        `${prefix}: ${error.config?.method.toUpperCase()} ${error.config?.url.split('?')[0]}`,
         {
           url: error.config?.url,
           method: error.config?.method,
           params: error.config?.params,
           duration: `${duration}ms`,
+          ...(metadata.attempt > 1 || willRetry ? { attempt: metadata.attempt } : {}),
+          ...(willRetry ? { retryInMs: retryDelay } : {}),
+          ...(metadata.mock ? { mock: metadata.mock } : {}),
+          ...(metadata.replay ? { replay: true } : {}),
         },
         error.response?.data || null,
         {
           message: error.message,
+          code: error.code,
           status: error.response?.status,
           statusText: error.response?.statusText,
-        }
+        },
+        { group: metadata.requestId, attempt: metadata.attempt, retrying: willRetry }
       );
     }
     
+    if (willRetry) {
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+      
+      // Reset while waiting to retry
+      if (!isCurrentRun(metadata.runId)) {
+        return Promise.reject(createCancellationError());
+      }
+      return eveveApi.request(error.config);
+    }
+    
     return Promise.reject(error);
   }
 );
@@ -85,6 +260,46 @@ const BASE_URLS = {
   STRIPE: 'https://api.stripe.com/v1',
 };
 
+// Eveve regions – `web` serves the public booking endpoints (hold/update),
+// `int` serves the integration endpoints (pi-get/deposit-get/pm-id).
+// NZ establishments are integrated through the UK cluster.
+export const REGIONS = {
+  NZ: { code: 'NZ', web: BASE_URLS.NZ, int: BASE_URLS.UK },
+  UK: { code: 'UK', web: BASE_URLS.UK, int: BASE_URLS.UK },
+  US: { code: 'US', web: BASE_URLS.US, int: BASE_URLS.US },
+};
+
+export const DEFAULT_REGION = REGIONS.NZ;
+
+/**
+ * Resolve the Eveve region from a HOLD URL (or bare host name)
+ * @param {string} holdUrl - Full HOLD URL or host, e.g. 'https://uk6.eveve.com/web/hold?...'
+ * @param {string} regionCode - Explicit region code ('NZ', 'UK', 'US'); overrides the URL when set
+ * @returns {Object|null} - { code, web, int } or null when the region cannot be determined
+ */
+export const resolveRegion = (holdUrl, regionCode = null) => {
+  if (regionCode && REGIONS[regionCode]) {
+    return { ...REGIONS[regionCode] };
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(holdUrl.includes('://') ? holdUrl : `https://${holdUrl}`).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  if (!hostname.endsWith('.eveve.com')) return null;
+
+  // Host prefixes look like 'nz', 'nz6', 'uk6', 'us12' ...
+  const prefix = hostname.split('.')[0].replace(/\d+$/, '').toUpperCase();
+  const region = REGIONS[prefix];
+  if (!region) return null;
+
+  // Keep the exact web host that was pasted (e.g. nz6 vs nz)
+  return { ...region, web: `https://${hostname}` };
+};
+
 /**
  * HOLD - Reserve a booking slot
  * @param {Object} params - Query parameters
@@ -92,12 +307,14 @@ const BASE_URLS = {
  * @param {string} params.lng - Language code (e.g., 'en')
  * @param {number} params.covers - Number of guests
  * @param {string} params.date - Date in YYYY-MM-DD format
- * @param {number} params.time - Time (e.g., 16 for 4:00 PM)
- * @param {number} params.area - Area code
+ * @param {number} params.time - Time in decimal hours (e.g., 16 for 4:00 PM, 16.5 for 4:30 PM)
+ * @param {number} [params.area] - Area code
+ * @param {number} [params.event] - Event code
+ * @param {Object} region - Region from resolveRegion (defaults to NZ)
  * @returns {Promise} - API response promise
  */
-export const hold = (params) => {
-  return eveveApi.get(`${BASE_URLS.NZ}/web/hold`, { params });
+export const hold = (params, region = DEFAULT_REGION) => {
+  return eveveApi.get(`${region.web}/web/hold`, { params, endpoint: 'hold' });
 };
 
 /**
@@ -109,10 +326,11 @@ export const hold = (params) => {
  * @param {number} params.type - Type (usually 0)
  * @param {number} params.desc - Description (usually 0)
  * @param {number} params.created - Booking creation timestamp
+ * @param {Object} region - Region from resolveRegion (defaults to NZ)
  * @returns {Promise} - API response promise
  */
-export const piGet = (params) => {
-  return eveveApi.get(`${BASE_URLS.UK}/int/pi-get`, { params });
+export const piGet = (params, region = DEFAULT_REGION) => {
+  return eveveApi.get(`${region.int}/int/pi-get`, { params, endpoint: 'piGet' });
 };
 
 /**
@@ -123,10 +341,11 @@ export const piGet = (params) => {
  * @param {number} params.created - Booking creation timestamp
  * @param {string} params.lang - Language (e.g., 'english')
  * @param {number} params.type - Type (usually 0)
+ * @param {Object} region - Region from resolveRegion (defaults to NZ)
  * @returns {Promise} - API response promise
  */
-export const depositGet = (params) => {
-  return eveveApi.get(`${BASE_URLS.UK}/int/deposit-get`, { params });
+export const depositGet = (params, region = DEFAULT_REGION) => {
+  return eveveApi.get(`${region.int}/int/deposit-get`, { params, endpoint: 'depositGet' });
 };
 
 /**
@@ -139,10 +358,11 @@ export const depositGet = (params) => {
  * @param {number} params.total - Amount in cents
  * @param {number} params.totalFloat - Amount in dollars (optional)
  * @param {number} params.type - Type (usually 0)
+ * @param {Object} region - Region from resolveRegion (defaults to NZ)
  * @returns {Promise} - API response promise
  */
-export const pmId = (params) => {
-  return eveveApi.get(`${BASE_URLS.UK}/int/pm-id`, { params });
+export const pmId = (params, region = DEFAULT_REGION) => {
+  return eveveApi.get(`${region.int}/int/pm-id`, { params, endpoint: 'pmId' });
 };
 
 /**
@@ -162,10 +382,24 @@ export const pmId = (params) => {
  * @param {string} params.bookopt - Booking options (optional)
  * @param {string} params.guestopt - Guest options (optional)
  * @param {number} params.optem - Opt-in email marketing (optional)
+ * @param {Object} region - Region from resolveRegion (defaults to NZ)
  * @returns {Promise} - API response promise
  */
-export const update = (params) => {
-  return eveveApi.get(`${BASE_URLS.NZ}/web/update`, { params });
+export const update = (params, region = DEFAULT_REGION) => {
+  return eveveApi.get(`${region.web}/web/update`, { params, endpoint: 'update' });
+};
+
+/**
+ * RESTORE - Check that a held booking still exists (call before charging the card)
+ * @param {Object} params - Query parameters
+ * @param {string} params.est - Establishment code
+ * @param {number} params.uid - Booking UID
+ * @param {number} params.type - Type (usually 0)
+ * @param {Object} region - Region from resolveRegion (defaults to NZ)
+ * @returns {Promise} - API response promise ({ ok, table } when the hold is valid)
+ */
+export const restore = (params, region = DEFAULT_REGION) => {
+  return eveveApi.get(`${region.int}/api/restore`, { params, endpoint: 'restore' });
 };
 
 /**
@@ -179,7 +413,7 @@ export const update = (params) => {
  * @returns {Promise} - API response promise
  */
 export const ccRequest = (params) => {
-  return eveveApi.get(`${BASE_URLS.APP}/ccrequest`, { params });
+  return eveveApi.get(`${BASE_URLS.APP}/ccrequest`, { params, endpoint: 'ccRequest' });
 };
 
 // Export all API functions
@@ -189,6 +423,13 @@ export default {
   depositGet,
   pmId,
   update,
+  restore,
   ccRequest,
   setApiLogger,
+  setMockScenario,
+  getMockScenario,
+  setRetryPolicy,
+  getRetryPolicy,
+  resolveRegion,
+  REGIONS,
 };
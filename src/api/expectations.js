@@ -0,0 +1,96 @@
+import { getIntentType } from './stripe';
+
+/**
+ * Scenario expectations.
+ *
+ * A scenario can declare what a run should produce, e.g.
+ * `{ card: 2, depositTotal: 30000, intentType: 'payment_intent' }`. Each
+ * expectation is checked against FlowContext-shaped run data:
+ * { booking, stripe, flowState, logs }.
+ */
+
+// Response body of the last logged call to an endpoint path
+const lastResponse = (logs, path) => {
+  const entry = [...logs].reverse().find(log => log.request?.url?.includes(path) && log.response);
+  return entry ? entry.response : null;
+};
+
+// Logged request durations are strings like '123ms'
+const callDurations = (logs) => logs
+  .map(log => parseInt(log.request?.duration, 10))
+  .filter(ms => Number.isFinite(ms));
+
+export const EXPECTATIONS = {
+  card: {
+    label: 'Card code',
+    actual: ({ booking }) => booking?.card ?? null,
+  },
+  depositCode: {
+    label: 'deposit-get code',
+    actual: ({ logs }) => lastResponse(logs, '/int/deposit-get')?.code ?? null,
+  },
+  depositTotal: {
+    label: 'deposit-get total',
+    actual: ({ logs }) => lastResponse(logs, '/int/deposit-get')?.total ?? null,
+  },
+  depositCurrency: {
+    label: 'deposit-get currency',
+    actual: ({ logs }) => lastResponse(logs, '/int/deposit-get')?.currency ?? null,
+  },
+  intentType: {
+    label: 'Intent type',
+    actual: ({ stripe }) => (stripe?.clientSecret ? getIntentType(stripe.clientSecret) : null),
+  },
+  flowState: {
+    label: 'Final flow state',
+    actual: ({ flowState }) => flowState ?? null,
+  },
+  maxCallMs: {
+    label: 'Slowest call (ms)',
+    actual: ({ logs }) => {
+      const durations = callDurations(logs);
+      return durations.length ? Math.max(...durations) : null;
+    },
+    // Passes when the slowest call is within the limit
+    matches: (actual, expected) => actual !== null && actual <= expected,
+  },
+};
+
+/**
+ * Parse "key=value" pairs (space or comma separated) into expectations
+ * @param {string} text - e.g. 'card=2 depositTotal=30000 intentType=payment_intent'
+ * @returns {Object} - Expectations keyed by EXPECTATIONS name; unknown keys are kept so they fail visibly
+ */
+export const parseExpectations = (text = '') => Object.fromEntries(
+  text
+    .split(/[\s,]+/)
+    .filter(pair => pair.includes('='))
+    .map((pair) => {
+      const [key, raw] = pair.split('=');
+      const value = /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw;
+      return [key.trim(), value];
+    })
+);
+
+/**
+ * Check expectations against run data
+ * @param {Object} expected - Expectations keyed by EXPECTATIONS name
+ * @param {Object} data - { booking, stripe, flowState, logs }
+ * @returns {Array<Object>} - One { key, label, expected, actual, passed } per expectation
+ */
+export const evaluateExpectations = (expected = {}, data) => Object.entries(expected).map(([key, value]) => {
+  const spec = EXPECTATIONS[key];
+  if (!spec) {
+    return { key, label: key, expected: value, actual: null, passed: false, error: 'Unknown expectation' };
+  }
+
+  const actual = spec.actual({ logs: [], ...data });
+  const passed = spec.matches ? spec.matches(actual, value) : actual === value;
+  return { key, label: spec.label, expected: value, actual, passed };
+});
+
+export default {
+  EXPECTATIONS,
+  parseExpectations,
+  evaluateExpectations,
+};
@@ -0,0 +1,377 @@
+import { AxiosError } from 'axios';
+import { redact } from './redaction';
+
+/**
+ * HAR 1.2 recorder / replayer for booking runs.
+ *
+ * Eveve calls are recorded from the axios interceptors in eveve.js and Stripe
+ * confirmations from stripe.js. A saved HAR can be loaded back in, after which
+ * the same modules answer from it instead of the network. Entries are kept
+ * raw; a saved HAR is redacted unless the raw (replayable) copy is asked for.
+ */
+
+const CREATOR = { name: 'stripe-booking-form-test', version: '0.1.0' };
+
+// Entries recorded for the current run
+let entries = [];
+
+// Replay state: the loaded entries plus queues of them keyed by request signature
+let replay = null;
+
+// Convert a plain object to HAR name/value pairs
+const toNameValue = (obj = {}) =>
+  Object.entries(obj)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ({ name, value: String(value) }));
+
+const toText = (data) => {
+  if (data === undefined || data === null) return '';
+  return typeof data === 'string' ? data : JSON.stringify(data);
+};
+
+const mimeTypeFor = (data) => (typeof data === 'string' ? 'text/html' : 'application/json');
+
+// Signature used to match a replayed request to a recorded one
+const signature = (method, url) => {
+  try {
+    const { host, pathname } = new URL(url);
+    return `${method.toUpperCase()} ${host}${pathname}`;
+  } catch (error) {
+    return `${method.toUpperCase()} ${url}`;
+  }
+};
+
+/**
+ * Record one request/response pair
+ * @param {Object} call - Call details
+ * @param {string} call.source - 'eveve' or 'stripe'
+ * @param {Date} call.startTime - When the request started
+ * @param {string} call.method - HTTP method
+ * @param {string} call.url - Full URL including query string
+ * @param {Object} call.params - Query parameters (optional)
+ * @param {Object} call.body - Request body (optional)
+ * @param {number} call.status - HTTP status (0 when no response was received)
+ * @param {string} call.statusText - HTTP status text
+ * @param {*} call.data - Response body
+ * @param {string} call.error - Error message for failed calls (optional)
+ * @param {string} call.stripeMethod - Stripe.js method name for Stripe calls (optional)
+ */
+export const recordEntry = ({
+  source,
+  startTime,
+  method,
+  url,
+  params,
+  body,
+  status,
+  statusText = '',
+  data,
+  error,
+  stripeMethod,
+}) => {
+  const time = new Date() - startTime;
+  const text = toText(data);
+
+  entries.push({
+    startedDateTime: startTime.toISOString(),
+    time,
+    request: {
+      method: method.toUpperCase(),
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: [{ name: 'Accept', value: 'application/json' }],
+      queryString: toNameValue(params),
+      ...(body ? {
+        postData: {
+          mimeType: 'application/x-www-form-urlencoded',
+          params: toNameValue(body),
+          text: new URLSearchParams(toNameValue(body).map(p => [p.name, p.value])).toString(),
+        },
+      } : {}),
+      headersSize: -1,
+      bodySize: -1,
+    },
+    response: {
+      status,
+      statusText,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: [{ name: 'Content-Type', value: mimeTypeFor(data) }],
+      content: {
+        size: text.length,
+        mimeType: mimeTypeFor(data),
+        text,
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+      ...(error ? { _error: error } : {}),
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    _source: source,
+    ...(stripeMethod ? { _stripeMethod: stripeMethod } : {}),
+  });
+};
+
+/**
+ * Discard everything recorded so far (called when a new run starts)
+ */
+export const clearRecording = () => {
+  entries = [];
+};
+
+/**
+ * Number of entries recorded for the current run
+ * @returns {number} - Entry count
+ */
+export const getEntryCount = () => entries.length;
+
+// Redact HAR name/value pairs by name; dropped fields disappear
+const redactPairs = (pairs, level) =>
+  toNameValue(redact(Object.fromEntries(pairs.map(({ name, value }) => [name, value])), level));
+
+// Redact a recorded body: JSON is redacted field by field, other text is scrubbed
+const redactContent = (content, level) => {
+  if (!content.text) return content;
+
+  let data = content.text;
+  if (content.mimeType?.includes('json')) {
+    try {
+      data = JSON.parse(content.text);
+    } catch (error) {
+      // Not valid JSON after all – scrub it as text
+    }
+  }
+
+  const text = toText(redact(data, level));
+  return { ...content, text, size: text.length };
+};
+
+// Redact one entry: query string (and the URL built from it), form body, response body and error
+const redactEntry = (entry, level) => {
+  const { request, response } = entry;
+  const queryString = redactPairs(request.queryString, level);
+
+  let { url } = request;
+  if (queryString.length || request.queryString.length) {
+    const parsed = new URL(url);
+    parsed.search = new URLSearchParams(queryString.map(({ name, value }) => [name, value])).toString();
+    url = parsed.toString();
+  }
+
+  let { postData } = request;
+  if (postData) {
+    const params = redactPairs(postData.params, level);
+    postData = { ...postData, params, text: new URLSearchParams(params.map(({ name, value }) => [name, value])).toString() };
+  }
+
+  return {
+    ...entry,
+    request: { ...request, url, queryString, ...(postData ? { postData } : {}) },
+    response: {
+      ...response,
+      content: redactContent(response.content, level),
+      ...(response._error ? { _error: redact(response._error, level) } : {}),
+    },
+  };
+};
+
+/**
+ * Build a HAR 1.2 document from the recorded entries
+ * @param {string} comment - Optional comment stored on the log
+ * @param {string} level - Redaction level ('strict', 'display' or 'reveal'); only 'reveal' gives a replayable HAR
+ * @returns {Object} - HAR document
+ */
+export const buildHar = (comment = '', level = 'strict') => ({
+  log: {
+    version: '1.2',
+    creator: CREATOR,
+    pages: [],
+    entries: level === 'reveal' ? [...entries] : entries.map(entry => redactEntry(entry, level)),
+    ...(comment ? { comment } : {}),
+    ...(level !== 'reveal' ? { _redaction: level } : {}),
+  },
+});
+
+/**
+ * Download the current run as a .har file
+ * @param {string} comment - Optional comment stored on the log
+ * @param {string} level - Redaction level (see buildHar); strict unless the raw copy is asked for
+ */
+export const downloadHar = (comment = '', level = 'strict') => {
+  try {
+    const blob = new Blob([JSON.stringify(buildHar(comment, level), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `eveve-stripe-run-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}${level === 'reveal' ? '-raw' : ''}.har`;
+    document.body.appendChild(a);
+    a.click();
+
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Failed to export HAR:', error);
+  }
+};
+
+/**
+ * Load a HAR document for replay
+ * @param {Object} har - Parsed HAR document
+ * @returns {Object} - Summary ({ entries, holdUrl, redaction }) of what was loaded
+ */
+export const loadReplay = (har) => {
+  if (!har?.log || !Array.isArray(har.log.entries)) {
+    throw new Error('Not a HAR file: missing log.entries');
+  }
+
+  replay = { entries: har.log.entries, queues: {} };
+  rewindReplay();
+
+  const holdEntry = har.log.entries.find(entry => entry.request.url.includes('/web/hold'));
+  return {
+    entries: har.log.entries.length,
+    holdUrl: holdEntry?.request.url || null,
+    // A redacted HAR is missing the client secrets and guest details the run needs
+    ...(har.log._redaction ? { redaction: har.log._redaction } : {}),
+  };
+};
+
+/**
+ * Rewind the loaded HAR so the next run replays it from the start
+ */
+export const rewindReplay = () => {
+  if (!replay) return;
+
+  replay.queues = {};
+  replay.entries.forEach((entry) => {
+    const key = entry._stripeMethod
+      ? `stripe ${entry._stripeMethod}`
+      : signature(entry.request.method, entry.request.url);
+    (replay.queues[key] = replay.queues[key] || []).push(entry);
+  });
+};
+
+/**
+ * Stop replaying and go back to the network
+ */
+export const clearReplay = () => {
+  replay = null;
+};
+
+/**
+ * Check whether a HAR is loaded for replay
+ * @returns {boolean} - True while replaying
+ */
+export const isReplaying = () => replay !== null;
+
+// Take the next recorded entry for a signature
+const takeEntry = (key) => {
+  const queue = replay?.queues[key];
+  return queue && queue.length > 0 ? queue.shift() : null;
+};
+
+const parseContent = (content = {}) => {
+  if (!content.text) return null;
+  if (content.mimeType?.includes('json')) {
+    try {
+      return JSON.parse(content.text);
+    } catch (error) {
+      return content.text;
+    }
+  }
+  return content.text;
+};
+
+/**
+ * Axios adapter that answers from the loaded HAR
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} - Axios response
+ */
+export const replayAdapter = async (config) => {
+  const key = signature(config.method, config.url);
+  const entry = takeEntry(key);
+
+  if (!entry) {
+    throw new AxiosError(`No recorded response for ${key}`, AxiosError.ERR_NETWORK, config, {});
+  }
+
+  const { response: recorded } = entry;
+
+  // Recorded connection-level failure
+  if (!recorded.status) {
+    throw new AxiosError(recorded._error || 'Network Error', AxiosError.ERR_NETWORK, config, {});
+  }
+
+  const response = {
+    data: parseContent(recorded.content),
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: Object.fromEntries((recorded.headers || []).map(h => [h.name.toLowerCase(), h.value])),
+    config,
+    request: {},
+  };
+
+  if (recorded.status >= 400) {
+    throw new AxiosError(
+      `Request failed with status code ${recorded.status}`,
+      AxiosError.ERR_BAD_RESPONSE,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  return response;
+};
+
+// Answer a Stripe.js call from the loaded HAR
+const replayStripeCall = (method) => async () => {
+  const entry = takeEntry(`stripe ${method}`);
+
+  if (!entry) {
+    return {
+      error: { type: 'api_error', message: `No recorded response for Stripe ${method}` },
+    };
+  }
+
+  // Recorded call that threw instead of resolving
+  if (!entry.response.status) {
+    throw new Error(entry.response._error || `Stripe ${method} failed`);
+  }
+
+  return parseContent(entry.response.content);
+};
+
+/**
+ * Create a Stripe client stand-in that replays recorded confirmations
+ * @returns {Object} - Object exposing the Stripe.js methods used by the app
+ */
+export const createReplayStripe = () => ({
+  isReplay: true,
+  confirmCardSetup: replayStripeCall('confirmCardSetup'),
+  confirmCardPayment: replayStripeCall('confirmCardPayment'),
+  confirmSetup: replayStripeCall('confirmSetup'),
+  confirmPayment: replayStripeCall('confirmPayment'),
+  handleNextAction: replayStripeCall('handleNextAction'),
+  retrieveSetupIntent: replayStripeCall('retrieveSetupIntent'),
+  retrievePaymentIntent: replayStripeCall('retrievePaymentIntent'),
+  createPaymentMethod: replayStripeCall('createPaymentMethod'),
+});
+
+export default {
+  recordEntry,
+  clearRecording,
+  getEntryCount,
+  buildHar,
+  downloadHar,
+  loadReplay,
+  rewindReplay,
+  clearReplay,
+  isReplaying,
+  replayAdapter,
+  createReplayStripe,
+};
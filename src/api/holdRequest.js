@@ -0,0 +1,179 @@
+/**
+ * HOLD request parameters.
+ *
+ * Shared by the URL field and the structured builder so both read and write
+ * the same query string. Times are decimal hours as Eveve expects them
+ * (18 = 6:00 PM, 18.5 = 6:30 PM).
+ */
+
+export const DEFAULT_HOLD_BASE = 'https://nz.eveve.com/web/hold';
+
+// Every parameter passed through to eveveApi.hold, in URL order
+export const HOLD_PARAMS = {
+  est: { type: 'string', required: true },
+  lng: { type: 'string', default: 'en' },
+  covers: { type: 'integer', required: true },
+  date: { type: 'string', required: true },
+  time: { type: 'number', required: true },
+  area: { type: 'integer' },
+  event: { type: 'integer' },
+};
+
+// Sample test URLs for quick testing (form buttons and the scenario runner);
+// `expect` is checked by the scenario runner, see expectations.js
+export const SAMPLE_URLS = [
+  {
+    label: 'TestNZA - Deposit Required (card=2)',
+    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=10&date=2025-08-01&time=20&area=1000',
+    // perHead 3000 × 10 covers
+    expect: { card: 2, depositCode: 2, depositTotal: 30000, intentType: 'payment_intent', flowState: 'completed' }
+  },
+  {
+    label: 'TestNZA - No-Show Protection (card=1)',
+    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=4&date=2025-08-01&time=12',
+    expect: { card: 1, depositCode: 1, intentType: 'setup_intent', flowState: 'completed' }
+  },
+  {
+    label: 'TestNZA - Card Required (Event)',
+    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=4&date=2025-08-01&time=18&event=1000&area=1000'
+  },
+  {
+    label: 'TestNZA - Deposit (no area param)',
+    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=6&date=2025-08-01&time=18',
+    expect: { card: 2, intentType: 'payment_intent', flowState: 'completed' }
+  },
+  {
+    label: 'TestNZA - No card required',
+    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=2&date=2025-08-01&time=12',
+    expect: { card: 0, flowState: 'completed' }
+  },
+  {
+    label: 'TestNZA - Deposit, French guest (lng=fr)',
+    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=fr&covers=2&date=2025-08-01&time=20&area=1000',
+    expect: { card: 2, intentType: 'payment_intent', flowState: 'completed' }
+  }
+];
+
+export const HOLD_LANGUAGES = ['en', 'fr', 'de', 'es', 'it', 'nl', 'pt', 'zh'];
+
+// 30-minute slots across the day
+export const HOLD_TIME_SLOTS = Array.from({ length: 48 }, (_, i) => i / 2);
+
+/**
+ * Format a decimal-hour time for display
+ * @param {number} time - Decimal hours (e.g. 18.5)
+ * @returns {string} - 24h clock time (e.g. '18:30')
+ */
+export const formatHoldTime = (time) => {
+  const hours = Math.floor(time);
+  const minutes = Math.round((time - hours) * 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Split a HOLD URL into its base and raw query fields, without validating
+ * @param {string} url - HOLD URL
+ * @returns {Object|null} - { base, fields, unknown } or null when the URL cannot be parsed
+ */
+export const splitHoldUrl = (url) => {
+  try {
+    const urlObj = new URL(url);
+    const fields = {};
+    const unknown = {};
+
+    urlObj.searchParams.forEach((value, key) => {
+      if (HOLD_PARAMS[key]) {
+        fields[key] = value;
+      } else {
+        unknown[key] = value;
+      }
+    });
+
+    return { base: `${urlObj.origin}${urlObj.pathname}`, fields, unknown };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a HOLD URL from raw fields; empty fields are left out
+ * @param {string} base - Origin and path (e.g. https://nz.eveve.com/web/hold)
+ * @param {Object} fields - Raw field values keyed by HOLD_PARAMS name
+ * @param {Object} unknown - Other query parameters to keep in the URL
+ * @returns {string} - HOLD URL
+ */
+export const buildHoldUrl = (base, fields, unknown = {}) => {
+  const search = new URLSearchParams();
+
+  Object.keys(HOLD_PARAMS).forEach((key) => {
+    const value = fields[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      search.set(key, String(value).trim());
+    }
+  });
+  Object.entries(unknown).forEach(([key, value]) => search.set(key, value));
+
+  return `${base || DEFAULT_HOLD_BASE}?${search.toString()}`;
+};
+
+/**
+ * Parse one raw field value into its eveveApi.hold type
+ * @param {string} key - HOLD_PARAMS name
+ * @param {*} raw - Raw value (e.g. from the URL); empty values fall back to the default
+ * @returns {Object} - { value, error } where value is undefined when the field is empty or not a number
+ */
+export const parseHoldField = (key, raw) => {
+  const spec = HOLD_PARAMS[key];
+  const text = raw !== undefined && raw !== null && String(raw).trim() !== ''
+    ? String(raw).trim()
+    : spec.default;
+
+  if (text === undefined) {
+    return { value: undefined, error: spec.required ? `${key} is required` : null };
+  }
+
+  if (spec.type === 'string') {
+    const error = key === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(text) ? 'date must be YYYY-MM-DD' : null;
+    return { value: text, error };
+  }
+
+  const value = Number(text);
+  if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+    return { value: undefined, error: `${key} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}` };
+  }
+  if (key === 'time' && (value < 0 || value >= 24)) {
+    return { value, error: 'time must be between 0 and 23.5' };
+  }
+  return { value, error: null };
+};
+
+/**
+ * Convert raw fields to typed eveveApi.hold parameters
+ * @param {Object} fields - Raw field values keyed by HOLD_PARAMS name
+ * @returns {Object} - { params, errors } where errors lists missing or malformed fields
+ */
+export const toHoldParams = (fields) => {
+  const params = {};
+  const errors = [];
+
+  Object.keys(HOLD_PARAMS).forEach((key) => {
+    const { value, error } = parseHoldField(key, fields[key]);
+    if (error) errors.push(error);
+    if (value !== undefined) params[key] = value;
+  });
+
+  return { params, errors };
+};
+
+export default {
+  DEFAULT_HOLD_BASE,
+  SAMPLE_URLS,
+  HOLD_PARAMS,
+  HOLD_LANGUAGES,
+  HOLD_TIME_SLOTS,
+  formatHoldTime,
+  splitHoldUrl,
+  buildHoldUrl,
+  parseHoldField,
+  toHoldParams,
+};
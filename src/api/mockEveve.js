@@ -0,0 +1,253 @@
+import { AxiosError } from 'axios';
+import { toMajorUnits, currencyDecimals } from './money';
+
+/**
+ * In-browser mock of the Eveve backend.
+ *
+ * Used as an axios adapter by the `eveveApi` instance when mock mode is on,
+ * so the normal interceptors (timing + logging) still run for every call.
+ */
+
+// Named scenarios selectable from the header toggle
+export const MOCK_SCENARIOS = {
+  noCard: {
+    label: 'No card required',
+    card: 0,
+  },
+  noShow: {
+    label: 'No-show protection (card=1)',
+    card: 1,
+  },
+  deposit: {
+    label: 'Deposit required (card=2)',
+    card: 2,
+  },
+  holdRejected: {
+    label: 'Hold rejected',
+    card: 2,
+    holdRejected: true,
+  },
+  piGetMissingKeys: {
+    label: 'pi-get missing keys',
+    card: 1,
+    piGetMissingKeys: true,
+  },
+  pmIdFailure: {
+    label: 'pm-id failure',
+    card: 2,
+    pmIdFailure: true,
+  },
+  shortHold: {
+    label: 'Short hold (30s until)',
+    card: 2,
+    holdSeconds: 30,
+  },
+  depositJpy: {
+    label: 'Deposit in JPY (zero-decimal)',
+    card: 2,
+    currency: 'JPY',
+  },
+  connectedAccount: {
+    label: 'Deposit on a Connect account',
+    card: 2,
+    account: 'acct_1MockConnected000',
+  },
+};
+
+const MOCK_PUBLIC_KEY = 'pk_test_mockEveveStripeKey000000000000';
+const MOCK_PER_HEAD = 3000;
+const MOCK_LATENCY_MS = { min: 80, max: 400 };
+// Eveve holds last 3 minutes from `created` unless `until` says otherwise
+const HOLD_SECONDS = 180;
+
+// deposit-get `amount` is an HTML entity currency symbol plus the total in
+// whole units; dollar currencies (NZD, AUD, USD, ...) all use &#36;
+const CURRENCY_ENTITIES = {
+  JPY: '&#165;',
+  GBP: '&#163;',
+  EUR: '&#8364;',
+};
+
+// Holds issued during this browser session, keyed by UID
+const holds = new Map();
+let nextUid = 90001;
+
+// True once a stored hold has run past its expiry (unix seconds, like `created`)
+const holdLapsed = (heldBooking) => {
+  const expiry = heldBooking.until || heldBooking.created + HOLD_SECONDS;
+  return Math.floor(Date.now() / 1000) >= expiry;
+};
+
+// Random alphanumeric string for fake Stripe identifiers
+const randomId = (length) => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < length; i++) {
+    id += chars[Math.floor(Math.random() * chars.length)];
+  }
+  return id;
+};
+
+const delay = () => new Promise(resolve => {
+  const ms = MOCK_LATENCY_MS.min + Math.random() * (MOCK_LATENCY_MS.max - MOCK_LATENCY_MS.min);
+  setTimeout(resolve, ms);
+});
+
+// Display amount as the live API formats it, e.g. '&#36;300.00' or '&#165;6000'
+const formatDepositAmount = (total, currency) => {
+  const code = (currency || 'NZD').toUpperCase();
+  const symbol = CURRENCY_ENTITIES[code] || '&#36;';
+  return `${symbol}${toMajorUnits(total, code).toFixed(currencyDecimals(code))}`;
+};
+
+// Deposit-style payload shared by deposit-get and pm-id
+const depositPayload = (scenario, heldBooking) => {
+  const covers = heldBooking?.covers || 2;
+  const total = MOCK_PER_HEAD * covers;
+  const noshow = scenario.card === 1;
+
+  return {
+    ok: true,
+    noshow,
+    code: scenario.card,
+    total,
+    perHead: MOCK_PER_HEAD,
+    totalFloat: toMajorUnits(total, scenario.currency),
+    amount: formatDepositAmount(total, scenario.currency),
+    currency: scenario.currency || 'NZD',
+    error: '',
+    message: noshow
+      ? `A charge of ${(MOCK_PER_HEAD / 100).toFixed(2)} per person will be applied in the event of a no-show<br/>`
+      : 'We require a c/c deposit to complete your reservation<br/>',
+    onlineLink: '',
+    stripePK: MOCK_PUBLIC_KEY,
+    success: '',
+  };
+};
+
+// Endpoint handlers – each returns [status, data]
+const handlers = {
+  '/web/hold': (scenario, params) => {
+    if (scenario.holdRejected) {
+      return [200, { ok: false, error: 'No availability for the requested time' }];
+    }
+
+    const uid = nextUid++;
+    const created = Math.floor(Date.now() / 1000);
+    // Eveve normally leaves `until` empty; holdSeconds sends a unix-seconds expiry
+    const until = scenario.holdSeconds ? created + scenario.holdSeconds : null;
+    holds.set(String(uid), { ...params, uid, created, until });
+
+    return [200, {
+      ok: true,
+      uid,
+      created,
+      full: 'Mock Eveve (pl_data)',
+      ots: [],
+      card: scenario.card,
+      perHead: scenario.card > 0 ? MOCK_PER_HEAD : 0,
+      until: until ? String(until) : '',
+    }];
+  },
+
+  '/int/pi-get': (scenario, params) => {
+    const base = {
+      est: params.est,
+      uid: String(params.uid),
+      type: String(params.type ?? 0),
+      host: 'mock.eveve.com',
+      port: 0,
+      account: scenario.account || '',
+      cust: `cus_${randomId(14)}`,
+    };
+
+    if (scenario.piGetMissingKeys) {
+      return [200, base];
+    }
+
+    const prefix = scenario.card === 2 ? 'pi' : 'seti';
+    const intentId = `${prefix}_${randomId(24)}`;
+
+    // Current (camelCase) field names – see STRIPE_API_FIELD_NAME_FIX.md
+    return [200, {
+      ...base,
+      clientSecret: `${intentId}_secret_${randomId(32)}`,
+      publishableKey: MOCK_PUBLIC_KEY,
+      stripePK: MOCK_PUBLIC_KEY,
+    }];
+  },
+
+  '/int/deposit-get': (scenario, params) => {
+    return [200, depositPayload(scenario, holds.get(String(params.UID)))];
+  },
+
+  '/int/pm-id': (scenario, params) => {
+    if (scenario.pmIdFailure) {
+      return [200, { ok: false, error: 'Unable to attach payment method to booking' }];
+    }
+    return [200, depositPayload(scenario, holds.get(String(params.uid)))];
+  },
+
+  '/web/update': (scenario, params) => {
+    if (!holds.has(String(params.uid))) {
+      return [200, { ok: false, error: 'Unknown booking' }];
+    }
+    return [200, { ok: true, uid: Number(params.uid) }];
+  },
+
+  '/api/restore': (scenario, params) => {
+    // Live Eveve answers a lapsed hold the same way as an unknown UID
+    const heldBooking = holds.get(String(params.uid));
+    if (!heldBooking || holdLapsed(heldBooking)) {
+      return [200, { ok: false }];
+    }
+    return [200, { ok: true, table: [1009] }];
+  },
+
+  '/ccrequest': () => {
+    return [200, '<html><body>Mock Eveve card form</body></html>'];
+  },
+};
+
+/**
+ * Create an axios adapter that answers Eveve requests from a mock scenario
+ * @param {string} scenarioKey - Key of MOCK_SCENARIOS
+ * @returns {Function} - Axios adapter
+ */
+export const createMockAdapter = (scenarioKey) => async (config) => {
+  const scenario = MOCK_SCENARIOS[scenarioKey];
+  const { pathname } = new URL(config.url);
+  const handler = handlers[pathname];
+
+  await delay();
+
+  const [status, data] = handler && scenario
+    ? handler(scenario, config.params || {})
+    : [404, { ok: false, error: `Mock Eveve: no handler for ${pathname}` }];
+
+  const response = {
+    data,
+    status,
+    statusText: status === 200 ? 'OK' : 'Not Found',
+    headers: { 'content-type': typeof data === 'string' ? 'text/html' : 'application/json' },
+    config,
+    request: {},
+  };
+
+  if (status >= 400) {
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  return response;
+};
+
+export default {
+  MOCK_SCENARIOS,
+  createMockAdapter,
+};
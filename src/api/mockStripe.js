@@ -0,0 +1,289 @@
+/**
+ * Offline stand-in for the Stripe.js client.
+ *
+ * Implements the subset of the Stripe object the app uses and answers with
+ * realistic SetupIntent / PaymentIntent objects. The outcome is chosen by the
+ * card number entered in the mock card input, mirroring Stripe's test cards.
+ * 3-D Secure cards leave the intent in requires_action until handleNextAction
+ * "completes" the challenge.
+ */
+
+// Card number → outcome (numbers taken from Stripe's testing docs)
+export const MOCK_CARD_OUTCOMES = {
+  '4242424242424242': { status: 'succeeded' },
+  '4000002500003155': { status: 'requires_action' },
+  '4000000000003220': { status: 'requires_action' },
+  '4000002760003184': { status: 'requires_action' },
+  // Authentication succeeds, then the card is declined
+  '4000008400001629': {
+    status: 'requires_action',
+    afterAction: {
+      code: 'card_declined',
+      declineCode: 'generic_decline',
+      message: 'Your card was declined.',
+    },
+  },
+  '4000000000000002': {
+    code: 'card_declined',
+    declineCode: 'generic_decline',
+    message: 'Your card was declined.',
+  },
+  '4000000000009995': {
+    code: 'card_declined',
+    declineCode: 'insufficient_funds',
+    message: 'Your card has insufficient funds.',
+  },
+  '4000000000009987': {
+    code: 'card_declined',
+    declineCode: 'lost_card',
+    message: 'Your card was declined.',
+  },
+  '4000000000009979': {
+    code: 'card_declined',
+    declineCode: 'stolen_card',
+    message: 'Your card was declined.',
+  },
+  '4100000000000019': {
+    code: 'card_declined',
+    declineCode: 'fraudulent',
+    message: 'Your card was declined.',
+  },
+  '4000000000000069': {
+    code: 'expired_card',
+    message: 'Your card has expired.',
+  },
+  '4000000000000127': {
+    code: 'incorrect_cvc',
+    message: "Your card's security code is incorrect.",
+  },
+  '4000000000000119': {
+    code: 'processing_error',
+    message: 'An error occurred while processing your card. Try again in a little bit.',
+  },
+};
+
+// Stripe test PaymentMethod ids (usable with live test-mode Stripe.js too) → card number
+export const TEST_PAYMENT_METHODS = {
+  pm_card_visa: { label: 'Visa – succeeds', number: '4242424242424242' },
+  pm_card_authenticationRequired: { label: '3DS required', number: '4000002500003155' },
+  pm_card_chargeDeclined: { label: 'Declined (generic)', number: '4000000000000002' },
+  pm_card_chargeDeclinedInsufficientFunds: { label: 'Declined (insufficient funds)', number: '4000000000009995' },
+  pm_card_chargeDeclinedExpiredCard: { label: 'Expired card', number: '4000000000000069' },
+};
+
+// Card numbers not listed above behave like 4242 4242 4242 4242
+const DEFAULT_OUTCOME = { status: 'succeeded' };
+
+const CARD_BRANDS = {
+  3: 'amex',
+  4: 'visa',
+  5: 'mastercard',
+  6: 'discover',
+};
+
+// Random alphanumeric string for fake Stripe identifiers
+const randomId = (length) => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < length; i++) {
+    id += chars[Math.floor(Math.random() * chars.length)];
+  }
+  return id;
+};
+
+// Last intent returned per client secret, for handleNextAction and retrieve*
+const mockIntents = new Map();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Build a PaymentMethod object from mock card input
+ * @param {Object} card - { number, expMonth, expYear, cvc } from MockCardElement
+ * @param {Object} billingDetails - Billing details passed to confirm
+ * @returns {Object} - Stripe PaymentMethod-shaped object
+ */
+const buildPaymentMethod = (card = {}, billingDetails = {}) => {
+  const number = (card.number || '').replace(/\D/g, '');
+
+  return {
+    id: `pm_${randomId(24)}`,
+    object: 'payment_method',
+    type: 'card',
+    billing_details: {
+      name: billingDetails.name || null,
+      email: billingDetails.email || null,
+      phone: billingDetails.phone || null,
+      address: null,
+    },
+    card: {
+      brand: CARD_BRANDS[number[0]] || 'unknown',
+      last4: number.slice(-4),
+      exp_month: card.expMonth,
+      exp_year: card.expYear,
+      funding: 'credit',
+      country: 'US',
+    },
+    created: now(),
+    livemode: false,
+  };
+};
+
+/**
+ * Build an intent object in the shape Stripe.js returns
+ * @param {string} intentType - 'setup_intent' or 'payment_intent'
+ * @param {string} clientSecret - Client secret from pi-get
+ * @param {string} status - Intent status
+ * @param {Object} paymentMethod - PaymentMethod object
+ * @returns {Object} - SetupIntent or PaymentIntent object
+ */
+const buildIntent = (intentType, clientSecret, status, paymentMethod) => {
+  const intent = {
+    id: (clientSecret || '').split('_secret_')[0],
+    object: intentType,
+    client_secret: clientSecret,
+    status,
+    payment_method: status === 'requires_payment_method' ? null : paymentMethod.id,
+    payment_method_types: ['card'],
+    next_action: status === 'requires_action'
+      ? {
+        type: 'use_stripe_sdk',
+        use_stripe_sdk: { type: 'three_d_secure_redirect', stripe_js: 'https://hooks.stripe.com/mock/3ds' },
+      }
+      : null,
+    created: now(),
+    livemode: false,
+  };
+
+  if (intentType === 'setup_intent') {
+    return { ...intent, usage: 'off_session' };
+  }
+
+  return { ...intent, capture_method: 'automatic', confirmation_method: 'automatic' };
+};
+
+// Stripe-shaped card error for an outcome from MOCK_CARD_OUTCOMES
+const buildCardError = (intentType, outcome, paymentMethod, failedIntent) => ({
+  type: 'card_error',
+  code: outcome.code,
+  ...(outcome.declineCode ? { decline_code: outcome.declineCode } : {}),
+  message: outcome.message,
+  doc_url: `https://stripe.com/docs/error-codes/${outcome.code.replace(/_/g, '-')}`,
+  payment_method: paymentMethod,
+  [intentType]: failedIntent,
+});
+
+const intentTypeOf = (clientSecret) => ((clientSecret || '').startsWith('seti_') ? 'setup_intent' : 'payment_intent');
+
+const resultKeyOf = (intentType) => (intentType === 'setup_intent' ? 'setupIntent' : 'paymentIntent');
+
+/**
+ * Confirm an intent against the mock card outcome table
+ * @param {string} intentType - 'setup_intent' or 'payment_intent'
+ * @param {string} clientSecret - Client secret from pi-get
+ * @param {Object} data - Confirm data ({ payment_method: { card, billing_details } | 'pm_...' })
+ * @returns {Promise<Object>} - { setupIntent } / { paymentIntent } or { error }
+ */
+const confirm = async (intentType, clientSecret, data = {}) => {
+  await delay(300 + Math.random() * 500);
+
+  // A test PaymentMethod id stands in for its card number
+  const pmData = typeof data.payment_method === 'string'
+    ? { card: { number: TEST_PAYMENT_METHODS[data.payment_method]?.number } }
+    : data.payment_method || {};
+  const paymentMethod = buildPaymentMethod(pmData.card, pmData.billing_details);
+  const number = (pmData.card?.number || '').replace(/\D/g, '');
+  const outcome = MOCK_CARD_OUTCOMES[number] || DEFAULT_OUTCOME;
+
+  if (outcome.code) {
+    const failedIntent = buildIntent(intentType, clientSecret, 'requires_payment_method', paymentMethod);
+    mockIntents.set(clientSecret, { intent: failedIntent, outcome, paymentMethod });
+    return { error: buildCardError(intentType, outcome, paymentMethod, failedIntent) };
+  }
+
+  const intent = buildIntent(intentType, clientSecret, outcome.status, paymentMethod);
+  mockIntents.set(clientSecret, { intent, outcome, paymentMethod });
+  return { [resultKeyOf(intentType)]: intent };
+};
+
+/**
+ * Complete a pending 3-D Secure challenge (the customer always approves)
+ * @param {string} clientSecret - Client secret of an intent in requires_action
+ * @returns {Promise<Object>} - { setupIntent } / { paymentIntent } or { error }
+ */
+const handleNextAction = async (clientSecret) => {
+  await delay(500 + Math.random() * 500);
+
+  const intentType = intentTypeOf(clientSecret);
+  const pending = mockIntents.get(clientSecret);
+  if (!pending || pending.intent.status !== 'requires_action') {
+    return {
+      error: {
+        type: 'invalid_request_error',
+        code: `${intentType}_unexpected_state`,
+        message: `This ${intentType.replace('_', ' ')} has no pending action.`,
+      },
+    };
+  }
+
+  const { outcome, paymentMethod } = pending;
+  if (outcome.afterAction) {
+    const failedIntent = buildIntent(intentType, clientSecret, 'requires_payment_method', paymentMethod);
+    mockIntents.set(clientSecret, { ...pending, intent: failedIntent });
+    return { error: buildCardError(intentType, outcome.afterAction, paymentMethod, failedIntent) };
+  }
+
+  const intent = buildIntent(intentType, clientSecret, 'succeeded', paymentMethod);
+  mockIntents.set(clientSecret, { ...pending, intent });
+  return { [resultKeyOf(intentType)]: intent };
+};
+
+// Retrieve the last known state of an intent confirmed through this client
+const retrieve = async (intentType, clientSecret) => {
+  await delay(150);
+
+  const known = mockIntents.get(clientSecret);
+  if (!known) {
+    return {
+      error: {
+        type: 'invalid_request_error',
+        code: 'resource_missing',
+        message: `No such ${intentType}: '${(clientSecret || '').split('_secret_')[0]}'`,
+      },
+    };
+  }
+  return { [resultKeyOf(intentType)]: known.intent };
+};
+
+/**
+ * Create a mock Stripe client
+ * @returns {Object} - Object exposing the Stripe.js methods used by the app
+ */
+export const createMockStripe = () => ({
+  isMock: true,
+  confirmCardSetup: (clientSecret, data) => confirm('setup_intent', clientSecret, data),
+  confirmCardPayment: (clientSecret, data) => confirm('payment_intent', clientSecret, data),
+  confirmSetupIntent: (clientSecret, data) => confirm('setup_intent', clientSecret, data),
+  confirmPaymentIntent: (clientSecret, data) => confirm('payment_intent', clientSecret, data),
+  // PaymentElement confirmations; `elements` is { card } from MockCardElement
+  confirmSetup: ({ clientSecret, elements, confirmParams = {} }) => confirm('setup_intent', clientSecret, {
+    payment_method: { card: elements?.card, billing_details: confirmParams.payment_method_data?.billing_details },
+  }),
+  confirmPayment: ({ clientSecret, elements, confirmParams = {} }) => confirm('payment_intent', clientSecret, {
+    payment_method: { card: elements?.card, billing_details: confirmParams.payment_method_data?.billing_details },
+  }),
+  handleNextAction: ({ clientSecret }) => handleNextAction(clientSecret),
+  retrieveSetupIntent: (clientSecret) => retrieve('setup_intent', clientSecret),
+  retrievePaymentIntent: (clientSecret) => retrieve('payment_intent', clientSecret),
+  createPaymentMethod: async ({ card, billing_details: billingDetails } = {}) => {
+    await delay(200);
+    return { paymentMethod: buildPaymentMethod(card, billingDetails) };
+  },
+});
+
+export default {
+  MOCK_CARD_OUTCOMES,
+  TEST_PAYMENT_METHODS,
+  createMockStripe,
+};
@@ -0,0 +1,68 @@
+/**
+ * Money formatting.
+ *
+ * Eveve and Stripe amounts are integers in the currency's smallest unit
+ * (cents for NZD, yen for JPY), so the number of decimals depends on the
+ * currency deposit-get returns. Lists follow Stripe's currency docs.
+ */
+
+// Amounts are whole units
+export const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+];
+
+// Amounts are thousandths
+export const THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+/**
+ * Number of decimals in a currency's smallest unit
+ * @param {string|null} currency - ISO 4217 code (any case); unknown or missing means 2
+ * @returns {number} - 0, 2 or 3
+ */
+export const currencyDecimals = (currency) => {
+  const code = (currency || '').toUpperCase();
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+};
+
+/**
+ * Convert an amount in the smallest unit to whole currency units
+ * @param {number} amount - e.g. 30000
+ * @param {string|null} currency - ISO 4217 code
+ * @returns {number} - e.g. 300 for NZD, 30000 for JPY
+ */
+export const toMajorUnits = (amount, currency) => (amount || 0) / 10 ** currencyDecimals(currency);
+
+/**
+ * Format an amount for display
+ * @param {number} amount - Amount in the currency's smallest unit
+ * @param {string|null} currency - ISO 4217 code; without one the number is shown without a symbol
+ * @param {string} locale - BCP 47 locale (defaults to the browser's)
+ * @returns {string} - e.g. 'NZ$300.00', '¥30,000' or '300.00' when the currency is not known yet
+ */
+export const formatMoney = (amount, currency, locale = undefined) => {
+  const decimals = currencyDecimals(currency);
+  const value = toMajorUnits(amount, currency);
+  const digits = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+
+  if (!currency) {
+    return new Intl.NumberFormat(locale, digits).format(value);
+  }
+
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: currency.toUpperCase(), ...digits }).format(value);
+  } catch (error) {
+    // Not an ISO 4217 code – show it as given
+    return `${new Intl.NumberFormat(locale, digits).format(value)} ${currency}`;
+  }
+};
+
+export default {
+  ZERO_DECIMAL_CURRENCIES,
+  THREE_DECIMAL_CURRENCIES,
+  currencyDecimals,
+  toMajorUnits,
+  formatMoney,
+};
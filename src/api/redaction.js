@@ -0,0 +1,147 @@
+/**
+ * Redaction of secrets and guest data in log entries.
+ *
+ * Every log sink (the log panel, copy, cURL and the JSON export) passes its
+ * entries through redact() at one of three levels:
+ *   reveal  – nothing is changed (local viewing only)
+ *   display – the default in the log panel; values are masked but recognisable
+ *   strict  – the default for anything that leaves the machine; secrets and
+ *             free text are dropped, identifying values are hashed
+ * Field rules are matched by key name at any depth, case-insensitively.
+ * Strings under other keys are still scanned for client secrets and email
+ * addresses (e.g. in log messages).
+ */
+
+export const REDACTION_LEVELS = ['reveal', 'display', 'strict'];
+
+// What happens to a value: keep it, mask it, replace it with a hash or drop the field
+export const REDACTION_ACTIONS = ['keep', 'mask', 'hash', 'drop'];
+
+const SECRET = { display: 'mask', strict: 'drop' };
+const GUEST = { display: 'mask', strict: 'hash' };
+const FREE_TEXT = { display: 'mask', strict: 'drop' };
+
+// key → { display, strict } action
+export const REDACTION_RULES = {
+  clientSecret: SECRET,
+  client_secret: SECRET,
+  cust: GUEST,
+  customer: GUEST,
+  name: GUEST,
+  customerName: GUEST,
+  // pi-get customer description (First_Last_-_email), as sent and as logged
+  desc: GUEST,
+  customerDescription: GUEST,
+  firstName: GUEST,
+  lastName: GUEST,
+  email: GUEST,
+  phone: GUEST,
+  address: FREE_TEXT,
+  notes: FREE_TEXT,
+  dietary: FREE_TEXT,
+  allergies: FREE_TEXT,
+};
+
+// Client secrets (seti_…_secret_… / pi_…_secret_…) and email addresses inside any string
+const SECRET_PATTERN = /\b(?:seti|pi)_[A-Za-z0-9]+_secret_[A-Za-z0-9]+\b/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Hashes are salted per page load: equal values share a hash within one export,
+// but a short value such as an email cannot be looked up from its hash
+const HASH_SALT = Math.random().toString(36).slice(2);
+
+// FNV-1a, 32 bit – synchronous, which SubtleCrypto is not
+const hashValue = (value) => {
+  let hash = 0x811c9dc5;
+  const text = `${HASH_SALT}:${value}`;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `hash:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+};
+
+/**
+ * Mask a value so it stays recognisable without being readable
+ * @param {*} value - Value to mask (non-strings are masked as their string form)
+ * @returns {string} - e.g. 'j***@example.com', 'seti_1Ab...', 'J***'
+ */
+export const maskValue = (value) => {
+  const text = String(value);
+
+  const email = text.match(/^([^@\s])[^@\s]*@(.+)$/);
+  if (email) return `${email[1]}***@${email[2]}`;
+
+  // Stripe-style ids keep their prefix (seti_, pi_, cus_) and a few characters
+  const stripeId = text.match(/^([a-z]+_)[A-Za-z0-9]/);
+  if (stripeId) return `${text.substring(0, stripeId[1].length + 4)}...`;
+
+  if (text.length <= 8) return text ? `${text[0]}***` : '';
+  return `${text.substring(0, 3)}***${text.slice(-2)}`;
+};
+
+// Apply an action to one value; undefined means the field is dropped
+const applyAction = (action, value) => {
+  if (value === null || value === undefined || value === '') return value;
+  if (action === 'drop') return undefined;
+  if (action === 'hash') return hashValue(value);
+  if (action === 'mask') return maskValue(value);
+  return value;
+};
+
+// Apply an action to a value and, for objects and arrays under a rule key (e.g. an address), to every leaf
+const applyDeep = (action, value) => {
+  if (action === 'drop' || value === null || typeof value !== 'object') return applyAction(action, value);
+  if (Array.isArray(value)) return value.map(item => applyDeep(action, item));
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, applyDeep(action, child)]));
+};
+
+// Scrub client secrets and email addresses out of free text
+const scrubString = (text, level) => text
+  .replace(SECRET_PATTERN, (secret) => (level === 'strict' ? '[secret]' : maskValue(secret)))
+  .replace(EMAIL_PATTERN, (email) => applyAction(GUEST[level], email));
+
+// Key lookup ignoring case ('clientsecret' → rule)
+const lookupRules = (rules) => {
+  const byKey = new Map();
+  Object.entries(rules).forEach(([key, rule]) => byKey.set(key.toLowerCase(), rule));
+  return byKey;
+};
+
+const DEFAULT_LOOKUP = lookupRules(REDACTION_RULES);
+
+/**
+ * Redact a value (a log entry, a request, anything JSON-like)
+ * @param {*} value - Value to redact; it is not modified
+ * @param {string} level - 'reveal', 'display' or 'strict'
+ * @param {Object} rules - key → { display, strict } actions (defaults to REDACTION_RULES)
+ * @returns {*} - Redacted copy (the value itself at 'reveal')
+ */
+export const redact = (value, level = 'strict', rules = REDACTION_RULES) => {
+  if (level === 'reveal') return value;
+  const byKey = rules === REDACTION_RULES ? DEFAULT_LOOKUP : lookupRules(rules);
+
+  const walk = (node) => {
+    if (typeof node === 'string') return scrubString(node, level);
+    if (Array.isArray(node)) return node.map(walk);
+    if (!node || typeof node !== 'object') return node;
+
+    const copy = {};
+    Object.entries(node).forEach(([key, child]) => {
+      const rule = byKey.get(key.toLowerCase());
+      const redacted = rule ? applyDeep(rule[level], child) : walk(child);
+      if (redacted !== undefined) copy[key] = redacted;
+    });
+    return copy;
+  };
+
+  return walk(value);
+};
+
+export default {
+  REDACTION_LEVELS,
+  REDACTION_ACTIONS,
+  REDACTION_RULES,
+  maskValue,
+  redact,
+};
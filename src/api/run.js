@@ -0,0 +1,77 @@
+/**
+ * Run tokens.
+ *
+ * Every request made during one booking flow is tied to the current run's
+ * AbortController. Reset (and starting a new HOLD, which resets first) starts
+ * a new run: outstanding requests are aborted and anything that still comes
+ * back for the old run can be recognised and dropped.
+ */
+
+const createRun = (id) => {
+  const controller = new AbortController();
+  return { id, controller, signal: controller.signal };
+};
+
+let currentRun = createRun(1);
+
+/**
+ * Abort everything in flight for the current run and start a new one
+ * @returns {Object} - The new run ({ id, controller, signal })
+ */
+export const startNewRun = () => {
+  currentRun.controller.abort();
+  currentRun = createRun(currentRun.id + 1);
+  return currentRun;
+};
+
+/**
+ * Get the active run
+ * @returns {Object} - { id, controller, signal }
+ */
+export const getCurrentRun = () => currentRun;
+
+/**
+ * Check whether a run is still the active one
+ * @param {number} runId - Run id captured when the work started
+ * @returns {boolean} - False once the run has been superseded
+ */
+export const isCurrentRun = (runId) => runId === currentRun.id;
+
+/**
+ * Create the error used for work belonging to a superseded run
+ * (same code as axios cancellations, so isCancellation() covers both)
+ * @param {string} message - Error message
+ * @returns {Error} - Cancellation error
+ */
+export const createCancellationError = (message = 'Superseded by a newer run') => {
+  const error = new Error(message);
+  error.name = 'CanceledError';
+  error.code = 'ERR_CANCELED';
+  return error;
+};
+
+/**
+ * Check whether an error comes from a cancelled / superseded run
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True for cancellations
+ */
+export const isCancellation = (error) => error?.code === 'ERR_CANCELED';
+
+/**
+ * Throw a cancellation error if the run has been superseded
+ * @param {Object} run - Run captured when the work started
+ */
+export const throwIfSuperseded = (run) => {
+  if (!isCurrentRun(run.id)) {
+    throw createCancellationError();
+  }
+};
+
+export default {
+  startNewRun,
+  getCurrentRun,
+  isCurrentRun,
+  createCancellationError,
+  isCancellation,
+  throwIfSuperseded,
+};
@@ -0,0 +1,204 @@
+import * as eveveApi from './eveve';
+import * as stripeApi from './stripe';
+import * as bookingSteps from './bookingSteps';
+import { isCancellation } from './run';
+import { splitHoldUrl, toHoldParams } from './holdRequest';
+import { parseExpectations } from './expectations';
+import { FLOW_STATES } from '../context/flowStates';
+
+/**
+ * Unattended scenario runner.
+ *
+ * Takes a HOLD URL through the booking form's own steps (see bookingSteps.js),
+ * in the same order and with the same FlowContext updates, using generated
+ * customer details and a Stripe test PaymentMethod id instead of a card
+ * typed into Elements. Every API call is logged by the normal eveve.js /
+ * stripe.js loggers.
+ */
+
+// Steps in run order
+export const SCENARIO_STEPS = [
+  { key: 'hold', label: 'Hold' },
+  { key: 'customer', label: 'Customer' },
+  { key: 'piGet', label: 'pi-get' },
+  { key: 'depositGet', label: 'deposit-get' },
+  { key: 'restore', label: 'Restore' },
+  { key: 'confirm', label: 'Confirm' },
+  { key: 'update', label: 'Update' },
+  { key: 'pmId', label: 'pm-id' },
+];
+
+/**
+ * Parse a user-defined scenario list: one URL per line, optionally
+ * "label | url" or "label | url | key=value ..." with expectations
+ * @param {string} text - Textarea contents
+ * @returns {Array<Object>} - Scenarios ({ label, url, expect? })
+ */
+export const parseScenarioList = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'))
+  .map((line, index) => {
+    const [first, second, third] = line.split('|').map(part => part.trim());
+    if (!second) return { label: `Scenario ${index + 1}`, url: first };
+
+    const expect = parseExpectations(third);
+    return { label: first, url: second, ...(Object.keys(expect).length ? { expect } : {}) };
+  });
+
+// Fake but well-formed customer details
+const generateCustomer = () => {
+  const suffix = Math.random().toString(36).slice(2, 7);
+  return {
+    firstName: 'Runner',
+    lastName: `Test-${suffix}`,
+    email: `runner+${suffix}@example.com`,
+    phone: '+64 21 000 0000',
+    notes: 'Automated scenario run',
+    dietary: '',
+    allergies: '',
+    optem: 0,
+  };
+};
+
+// Thrown to stop a scenario after a failed step
+class StepFailure extends Error {}
+
+/**
+ * Run one scenario through the whole flow
+ * @param {Object} scenario - { label, url }
+ * @param {Object} options - Run options
+ * @param {Object} options.flow - FlowContext action creators (setFlowState, setBooking, setStripeKeys,
+ *   setPaymentType, setPaymentMethod, setCustomerDetails, setError); the run leaves its result in FlowContext
+ * @param {string} options.paymentMethod - Stripe test PaymentMethod id (e.g. 'pm_card_visa')
+ * @param {Function} options.onStep - Called with the steps array after every step
+ * @returns {Promise<Object>} - { passed, steps, error, totalMs, uid }; steps are { key, status, ms, detail?, error? }
+ */
+export const runScenario = async (scenario, { flow, paymentMethod, onStep = () => {} }) => {
+  const steps = [];
+  const started = performance.now();
+  let uid = null;
+
+  // Run a step, timing it and recording pass/fail
+  const step = async (key, action) => {
+    const stepStart = performance.now();
+    try {
+      const detail = await action();
+      steps.push({ key, status: 'passed', ms: Math.round(performance.now() - stepStart), detail });
+      onStep([...steps]);
+      return detail;
+    } catch (error) {
+      if (isCancellation(error)) throw error;
+      steps.push({ key, status: 'failed', ms: Math.round(performance.now() - stepStart), error: error.message });
+      onStep([...steps]);
+      throw new StepFailure(`${key}: ${error.message}`);
+    }
+  };
+
+  const skip = (key) => {
+    steps.push({ key, status: 'skipped', ms: 0 });
+    onStep([...steps]);
+  };
+
+  try {
+    const split = splitHoldUrl(scenario.url);
+    const { params: holdParams, errors } = split ? toHoldParams(split.fields) : { errors: ['invalid URL'] };
+    const region = eveveApi.resolveRegion(scenario.url);
+
+    const booking = await step('hold', async () => {
+      if (errors.length > 0) throw new Error(errors.join('; '));
+      if (!region) throw new Error('cannot determine Eveve region from URL');
+
+      const held = await bookingSteps.holdBooking(flow, holdParams, region);
+      uid = held.uid;
+      return held;
+    });
+
+    const customer = await step('customer', async () => {
+      const details = generateCustomer();
+      flow.setCustomerDetails({ firstName: details.firstName, lastName: details.lastName, email: details.email });
+      return details;
+    });
+    const cardRequired = booking.card > 0;
+
+    let keys = null;
+    let deposit = null;
+
+    if (cardRequired) {
+      keys = await step('piGet', async () => {
+        const { clientSecret, publicKey, account } = await bookingSteps.fetchStripeKeys(flow, booking, customer);
+        return { clientSecret, publicKey, account };
+      });
+
+      deposit = await step('depositGet', async () => {
+        const { code, total, currency } = await bookingSteps.fetchDepositInfo(flow, booking);
+        return { code, total, currency };
+      });
+      flow.setFlowState(FLOW_STATES.ENTERING_CARD);
+
+      // Never charge against a dead hold
+      await step('restore', async () => {
+        const { valid, tables } = await bookingSteps.validateHold(booking);
+        if (!valid) throw new Error('Booking hold is no longer valid');
+        return { tables };
+      });
+    } else {
+      skip('piGet');
+      skip('depositGet');
+      skip('restore');
+      flow.setFlowState(FLOW_STATES.COLLECTING_USER);
+    }
+
+    let intentId = null;
+    if (cardRequired) {
+      intentId = await step('confirm', async () => {
+        const stripeClient = await stripeApi.getStripe(keys.publicKey, keys.account);
+        try {
+          const intent = await bookingSteps.confirmCard(flow, keys.clientSecret, paymentMethod, {
+            stripe: stripeClient,
+            billingDetails: { name: `${customer.firstName} ${customer.lastName}`, email: customer.email },
+          });
+          return intent.id;
+        } catch (error) {
+          if (isCancellation(error)) throw error;
+          // Stripe errors read best by their decline / error code
+          throw new Error(error.decline_code || error.code || error.message);
+        }
+      });
+    } else {
+      skip('confirm');
+    }
+
+    await step('update', async () => {
+      await bookingSteps.updateBooking(booking, customer);
+    });
+
+    if (cardRequired) {
+      await step('pmId', async () => {
+        await bookingSteps.attachPaymentMethod(booking, intentId, { amount: deposit.total, currency: deposit.currency });
+      });
+    } else {
+      skip('pmId');
+    }
+
+    flow.setFlowState(FLOW_STATES.COMPLETED);
+    return { passed: true, steps, error: null, totalMs: Math.round(performance.now() - started), uid };
+  } catch (error) {
+    if (!(error instanceof StepFailure)) throw error;
+
+    // Steps after the failure never ran
+    SCENARIO_STEPS
+      .filter(({ key }) => !steps.some(done => done.key === key))
+      .forEach(({ key }) => steps.push({ key, status: 'notRun', ms: 0 }));
+
+    // The same error state the form ends in
+    flow.setError({ message: 'Failed to complete booking: ' + error.message });
+    return { passed: false, steps, error: error.message, totalMs: Math.round(performance.now() - started), uid };
+  }
+};
+
+export default {
+  SCENARIO_STEPS,
+  parseScenarioList,
+  runScenario,
+};
@@ -0,0 +1,153 @@
+/**
+ * Declarative response schemas for the Eveve endpoints.
+ *
+ * Field spec:
+ *   type     - 'string' | 'number' | 'boolean' | 'array' | 'object'
+ *   required - true, or 'whenOk' when only required on `ok: true` responses
+ *   values   - allowed values (e.g. known `code` values)
+ *   aliases  - older names the field has been sent under (see STRIPE_API_FIELD_NAME_FIX.md)
+ */
+
+// Shared by deposit-get and pm-id, which return the same payload
+const DEPOSIT_FIELDS = {
+  ok: { type: 'boolean', required: true },
+  noshow: { type: 'boolean', required: 'whenOk' },
+  code: { type: 'number', required: 'whenOk', values: [0, 1, 2] },
+  total: { type: 'number', required: 'whenOk' },
+  perHead: { type: 'number' },
+  totalFloat: { type: 'number' },
+  amount: { type: 'string' },
+  currency: { type: 'string', required: 'whenOk' },
+  error: { type: 'string' },
+  message: { type: 'string' },
+  onlineLink: { type: 'string' },
+  stripePK: { type: 'string' },
+  success: { type: 'string' },
+};
+
+export const RESPONSE_SCHEMAS = {
+  hold: {
+    ok: { type: 'boolean', required: true },
+    uid: { type: 'number', required: 'whenOk' },
+    created: { type: 'number', required: 'whenOk' },
+    card: { type: 'number', required: 'whenOk', values: [0, 1, 2] },
+    perHead: { type: 'number' },
+    until: { type: 'string' },
+    full: { type: 'string' },
+    ots: { type: 'array' },
+    error: { type: 'string' },
+  },
+  piGet: {
+    est: { type: 'string' },
+    uid: { type: 'string' },
+    type: { type: 'string' },
+    host: { type: 'string' },
+    port: { type: 'number' },
+    clientSecret: { type: 'string', required: true, aliases: ['client_secret'] },
+    publishableKey: { type: 'string', required: true, aliases: ['public_key', 'stripePK'] },
+    account: { type: 'string' },
+    cust: { type: 'string' },
+  },
+  depositGet: DEPOSIT_FIELDS,
+  pmId: DEPOSIT_FIELDS,
+  update: {
+    ok: { type: 'boolean', required: true },
+    error: { type: 'string' },
+  },
+  restore: {
+    ok: { type: 'boolean', required: true },
+    table: { type: 'array' },
+  },
+};
+
+const toSnakeCase = (name) => name.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+const toCamelCase = (name) => name.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Validate an Eveve response against its schema
+ * @param {string} endpoint - Endpoint name (hold, piGet, depositGet, pmId, update, restore)
+ * @param {*} data - Response body
+ * @returns {Array<Object>} - Violations ({ field, kind, message }); empty when the payload conforms
+ */
+export const validateResponse = (endpoint, data) => {
+  const schema = RESPONSE_SCHEMAS[endpoint];
+  if (!schema) return [];
+
+  if (typeOf(data) !== 'object') {
+    return [{
+      field: '(body)',
+      kind: 'type',
+      message: `Expected a JSON object, got ${typeOf(data)}`,
+    }];
+  }
+
+  const violations = [];
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    let value = data[field];
+    let sentAs = field;
+
+    // Look for the field under a different casing or a legacy name
+    if (value === undefined) {
+      const variants = [toSnakeCase(field), toCamelCase(field)].filter(name => name !== field);
+      const casingMatch = variants.find(name => data[name] !== undefined);
+      const aliasMatch = (spec.aliases || []).find(name => data[name] !== undefined);
+
+      if (casingMatch) {
+        sentAs = casingMatch;
+        violations.push({
+          field,
+          kind: 'casing',
+          message: `Sent as "${casingMatch}", expected "${field}"`,
+        });
+      } else if (aliasMatch) {
+        sentAs = aliasMatch;
+        violations.push({
+          field,
+          kind: 'casing',
+          message: `Sent under legacy name "${aliasMatch}", expected "${field}"`,
+        });
+      }
+      value = data[sentAs];
+    }
+
+    const required = spec.required === true || (spec.required === 'whenOk' && data.ok === true);
+
+    if (value === undefined || value === null) {
+      if (required) {
+        violations.push({ field, kind: 'missing', message: 'Required field is missing' });
+      }
+      return;
+    }
+
+    if (typeOf(value) !== spec.type) {
+      violations.push({
+        field: sentAs,
+        kind: 'type',
+        message: `Expected ${spec.type}, got ${typeOf(value)} (${JSON.stringify(value)})`,
+      });
+      return;
+    }
+
+    if (spec.values && !spec.values.includes(value)) {
+      violations.push({
+        field: sentAs,
+        kind: 'value',
+        message: `Unknown value ${JSON.stringify(value)}, expected one of ${spec.values.join(', ')}`,
+      });
+    }
+  });
+
+  return violations;
+};
+
+export default {
+  RESPONSE_SCHEMAS,
+  validateResponse,
+};
@@ -1,10 +1,21 @@
 import { loadStripe } from '@stripe/stripe-js';
+import { createMockStripe } from './mockStripe';
+import { recordEntry, isReplaying, createReplayStripe } from './har';
+import { getCurrentRun, isCurrentRun, throwIfSuperseded } from './run';
+import { explainStripeError } from './stripeErrors';
 
 // Store a reference to the logging function that will be set later
 let logApiCallFunction = null;
 
-// Store the Stripe instance once loaded
-let stripeInstance = null;
+// Stripe clients by instance key (client mode + publishable key + Connect account);
+// promises are stored so concurrent callers share one load
+const stripeInstances = new Map();
+
+// Instance getStripe() hands out without a key: { key, mode, runId } – only valid for that run
+let activeInstance = null;
+
+// When true, the offline mock client is used instead of Stripe.js
+let mockMode = false;
 
 /**
  * Set the API logger function from the Flow context
@@ -15,18 +26,76 @@ export const setApiLogger = (loggerFunction) => {
 };
 
 /**
- * Initialize Stripe with the public key
+ * Switch between Stripe.js and the offline mock client
+ * @param {boolean} enabled - True to use the mock client
+ */
+export const setMockMode = (enabled) => {
+  mockMode = !!enabled;
+};
+
+// Which client getStripe() should hand out right now
+const currentClientMode = () => {
+  if (isReplaying()) return 'replay';
+  return mockMode ? 'mock' : 'live';
+};
+
+/**
+ * Check whether confirmations are answered without Stripe.js (mock or HAR replay)
+ * @returns {boolean} - True when no Stripe.js instance is needed
+ */
+export const isOffline = () => currentClientMode() !== 'live';
+
+/**
+ * Check whether the offline mock client is active
+ * @returns {boolean} - True in mock mode
+ */
+export const isMockMode = () => mockMode;
+
+/**
+ * Registry key of the Stripe instance for a publishable key and Connect account
+ * @param {string} publicKey - Stripe public key
+ * @param {string|null} account - Stripe Connect account (null for the platform account)
+ * @param {string} mode - Client mode ('live', 'mock' or 'replay'), defaults to the current one
+ * @returns {string} - e.g. 'live|pk_test_…|acct_…'
+ */
+export const getStripeInstanceKey = (publicKey, account = null, mode = currentClientMode()) =>
+  [mode, publicKey, account || 'platform'].join('|');
+
+// Load Stripe.js (or the offline / replay stand-in) for one instance key
+const createStripeClient = async (mode, publicKey, account) => {
+  if (mode === 'replay') return createReplayStripe();
+  if (mode === 'mock') return createMockStripe();
+  // Intents on a connected account can only be confirmed through that account
+  return loadStripe(publicKey, account ? { stripeAccount: account } : undefined);
+};
+
+// Make an instance the one getStripe() returns for the rest of the current run
+const selectInstance = (key, mode) => {
+  activeInstance = { key, mode, runId: getCurrentRun().id };
+  return stripeInstances.get(key);
+};
+
+/**
+ * Initialize Stripe with the public key (reusing the registry entry for the same key and account)
  * @param {string} publicKey - Stripe public key from Eveve
+ * @param {string|null} account - Stripe Connect account from pi-get (null for the platform account)
  * @returns {Promise<Stripe>} - Initialized Stripe instance
  */
-export const initializeStripe = async (publicKey) => {
+export const initializeStripe = async (publicKey, account = null) => {
+  const mode = currentClientMode();
+  const key = publicKey ? getStripeInstanceKey(publicKey, account, mode) : null;
+
   try {
     // Log the initialization attempt
     if (logApiCallFunction) {
       logApiCallFunction(
         'Stripe Initialize',
-        { publicKey: publicKey ? `${publicKey.substring(0, 8)}...` : null },
-        { initialized: !!publicKey }
+        {
+          publicKey: publicKey ? `${publicKey.substring(0, 8)}...` : null,
+          stripeAccount: account || 'platform',
+          mode,
+        },
+        { initialized: !!publicKey, cached: stripeInstances.has(key) }
       );
     }
 
@@ -34,15 +103,22 @@ export const initializeStripe = async (publicKey) => {
       throw new Error('Stripe public key is required');
     }
 
-    // Load and initialize Stripe
-    stripeInstance = await loadStripe(publicKey);
-    return stripeInstance;
+    if (!stripeInstances.has(key)) {
+      const loading = createStripeClient(mode, publicKey, account);
+      stripeInstances.set(key, loading);
+      // A failed load is dropped so the next call tries again
+      loading.catch(() => {
+        if (stripeInstances.get(key) === loading) stripeInstances.delete(key);
+      });
+    }
+
+    return await selectInstance(key, mode);
   } catch (error) {
     // Log the error
     if (logApiCallFunction) {
       logApiCallFunction(
         'ERROR: Stripe Initialize',
-        { publicKey: publicKey ? `${publicKey.substring(0, 8)}...` : null },
+        { publicKey: publicKey ? `${publicKey.substring(0, 8)}...` : null, stripeAccount: account || 'platform' },
         null,
         { message: error.message }
       );
@@ -52,171 +128,230 @@ export const initializeStripe = async (publicKey) => {
 };
 
 /**
- * Get the current Stripe instance or initialize a new one
- * @param {string} publicKey - Stripe public key (optional if already initialized)
+ * Get the Stripe instance for a publishable key and account, loading it on first use
+ * @param {string} publicKey - Stripe public key (optional once this run has initialized one)
+ * @param {string|null} account - Stripe Connect account; each key / account pair has its own instance
  * @returns {Promise<Stripe>} - Stripe instance
  */
-export const getStripe = async (publicKey = null) => {
-  if (stripeInstance) return stripeInstance;
-  if (!publicKey) throw new Error('Stripe not initialized and no public key provided');
-  return initializeStripe(publicKey);
+export const getStripe = async (publicKey = null, account = null) => {
+  const mode = currentClientMode();
+
+  if (!publicKey) {
+    // Without a key only the instance chosen in this run will do – never one from an earlier run
+    if (activeInstance && activeInstance.mode === mode && isCurrentRun(activeInstance.runId)) {
+      return stripeInstances.get(activeInstance.key);
+    }
+    throw new Error('Stripe not initialized for this run and no public key provided');
+  }
+
+  const key = getStripeInstanceKey(publicKey, account, mode);
+  if (stripeInstances.has(key)) {
+    return selectInstance(key, mode);
+  }
+  return initializeStripe(publicKey, account);
 };
 
 /**
- * Confirm a Stripe Setup Intent (for no-show protection)
- * @param {string} clientSecret - The client secret from the SetupIntent
- * @param {Object} paymentMethod - The payment method data or ID
- * @param {Object} options - Additional confirmation options
- * @returns {Promise<Object>} - The confirmation result
+ * Record a Stripe confirmation for HAR export
+ * @param {string} stripeMethod - Stripe.js method that was called
+ * @param {Date} startTime - When the call started
+ * @param {string} clientSecret - Intent client secret (masked in the record)
+ * @param {Object|string|null} paymentMethod - Payment method ID or data; null when the call sends none
+ * @param {Object|null} result - Stripe.js result ({ setupIntent } / { paymentIntent } / { error }); null when it threw
+ * @param {Object} endpoint - { method, action } of the intent call (defaults to POST .../confirm)
+ * @param {Error|null} thrownError - Error Stripe.js threw instead of resolving (recorded as status 0)
  */
-export const confirmSetupIntent = async (clientSecret, paymentMethod, options = {}) => {
-  const startTime = new Date();
-  
-  try {
-    const stripe = await getStripe();
-    
-    if (!stripe) {
-      throw new Error('Stripe not initialized');
-    }
+const recordStripeCall = (stripeMethod, startTime, clientSecret, paymentMethod, result, endpoint = {}, thrownError = null) => {
+  const { method = 'POST', action = 'confirm' } = endpoint;
+  const intentId = clientSecret ? clientSecret.split('_secret_')[0] : '';
+  const intentPath = getIntentType(clientSecret) === 'setup_intent' ? 'setup_intents' : 'payment_intents';
 
-    // Determine if we have a payment method ID or element
-    const paymentMethodParam = typeof paymentMethod === 'string' 
-      ? { payment_method: paymentMethod } 
-      : { payment_method: paymentMethod };
-    
-    // Confirm the setup intent
-    const result = await stripe.confirmSetupIntent(
-      clientSecret,
+  recordEntry({
+    source: 'stripe',
+    stripeMethod,
+    startTime,
+    method,
+    url: `https://api.stripe.com/v1/${intentPath}/${intentId}${action ? `/${action}` : ''}`,
+    body: {
+      client_secret: clientSecret ? `${clientSecret.substring(0, 10)}...` : null,
+      ...(paymentMethod !== null ? { payment_method: typeof paymentMethod === 'string' ? paymentMethod : 'card' } : {}),
+    },
+    // status 0 = no response, as for Eveve calls that never got one
+    status: thrownError ? 0 : (result?.error ? 402 : 200),
+    statusText: thrownError ? '' : (result?.error ? 'Payment Required' : 'OK'),
+    data: result,
+    ...(thrownError ? { error: thrownError.message } : {}),
+  });
+};
+
+// Masked forms of Stripe ids for the log (enough to find them in the Dashboard)
+const maskSecret = (clientSecret) => (clientSecret ? `${clientSecret.substring(0, 10)}...` : null);
+const maskId = (id) => (typeof id === 'string' && id.length > 12 ? `${id.substring(0, 8)}...${id.slice(-4)}` : id || null);
+
+// How the payment method was given, for the log
+const describePaymentMethod = (paymentMethod) => {
+  if (paymentMethod === 'payment_element') return 'PaymentElement';
+  if (typeof paymentMethod === 'string') return maskId(paymentMethod);
+  return paymentMethod?.card?.number ? 'card (mock input)' : 'CardElement';
+};
+
+/**
+ * Log a Stripe.js round-trip like the Eveve calls: duration, intent status and masked ids.
+ * Failures are logged as recoverable – the form shows them and the guest can try again.
+ */
+const logStripeCall = (stripeClient, stripeMethod, startTime, clientSecret, paymentMethod, result) => {
+  if (!logApiCallFunction) return;
+
+  const request = {
+    clientSecret: maskSecret(clientSecret),
+    ...(paymentMethod !== null ? { paymentMethod: describePaymentMethod(paymentMethod) } : {}),
+    duration: `${new Date() - startTime}ms`,
+    ...(stripeClient.isMock ? { mock: true } : {}),
+    ...(stripeClient.isReplay ? { replay: true } : {}),
+  };
+
+  if (result.error) {
+    const failedIntent = result.error.setup_intent || result.error.payment_intent;
+    logApiCallFunction(
+      `ERROR: Stripe ${stripeMethod}`,
+      request,
+      failedIntent ? { status: failedIntent.status, id: maskId(failedIntent.id) } : null,
       {
-        ...paymentMethodParam,
-        ...options
-      }
+        message: result.error.message,
+        code: result.error.code,
+        type: result.error.type,
+        decline_code: result.error.decline_code,
+      },
+      { recoverable: true }
     );
-    
-    const duration = new Date() - startTime;
-    
-    // Log the successful confirmation
-    if (logApiCallFunction) {
-      logApiCallFunction(
-        'Stripe confirmSetupIntent',
-        {
-          clientSecret: clientSecret ? `${clientSecret.substring(0, 10)}...` : null,
-          paymentMethod: typeof paymentMethod === 'string' 
-            ? `${paymentMethod.substring(0, 5)}...` 
-            : 'PaymentElement',
-          duration: `${duration}ms`,
-        },
-        {
-          status: result.setupIntent?.status,
-          id: result.setupIntent?.id,
-          payment_method: result.setupIntent?.payment_method,
-        }
-      );
-    }
-    
-    return result;
+    return;
+  }
+
+  const intent = result.setupIntent || result.paymentIntent;
+  const intentPaymentMethod = intent?.payment_method?.id || intent?.payment_method;
+  logApiCallFunction(`Stripe ${stripeMethod}`, request, {
+    status: intent?.status,
+    id: maskId(intent?.id),
+    ...(intent?.amount !== undefined ? { amount: intent.amount, currency: intent.currency } : {}),
+    ...(intentPaymentMethod ? { payment_method: maskId(intentPaymentMethod) } : {}),
+    ...(intent?.next_action ? { next_action: intent.next_action.type } : {}),
+  });
+};
+
+// Run one Stripe.js call: drop the result if the run was reset meanwhile (Stripe.js cannot be
+// aborted), record it for HAR export and log it – including calls that throw rather than resolve
+const runStripeCall = async (stripeClient, stripeMethod, clientSecret, paymentMethod, call, endpoint) => {
+  const startTime = new Date();
+  const run = getCurrentRun();
+
+  let result;
+  try {
+    result = await call();
   } catch (error) {
-    const duration = new Date() - startTime;
-    
-    // Log the error
-    if (logApiCallFunction) {
-      logApiCallFunction(
-        'ERROR: Stripe confirmSetupIntent',
-        {
-          clientSecret: clientSecret ? `${clientSecret.substring(0, 10)}...` : null,
-          duration: `${duration}ms`,
-        },
-        null,
-        {
-          message: error.message,
-          code: error.code,
-          type: error.type,
-          decline_code: error.decline_code,
-        }
-      );
-    }
-    
+    throwIfSuperseded(run);
+    recordStripeCall(stripeMethod, startTime, clientSecret, paymentMethod, null, endpoint, error);
+    logStripeCall(stripeClient, stripeMethod, startTime, clientSecret, paymentMethod, { error });
     throw error;
   }
+
+  throwIfSuperseded(run);
+  recordStripeCall(stripeMethod, startTime, clientSecret, paymentMethod, result, endpoint);
+  logStripeCall(stripeClient, stripeMethod, startTime, clientSecret, paymentMethod, result);
+  return result;
 };
 
 /**
- * Confirm a Stripe Payment Intent (for deposits)
- * @param {string} clientSecret - The client secret from the PaymentIntent
- * @param {Object} paymentMethod - The payment method data or ID
- * @param {Object} options - Additional confirmation options
+ * Confirm a card intent with Elements card data on a given Stripe client
+ * (confirmCardSetup for SetupIntents, confirmCardPayment for PaymentIntents)
+ * @param {Stripe} stripeClient - Stripe.js instance, mock or replay client
+ * @param {string} clientSecret - The client secret from Eveve
+ * @param {Object|string} paymentMethod - { card, billing_details } or a PaymentMethod id
+ * @param {Object} options - Stripe.js options, e.g. { handleActions: false } to handle 3-D Secure separately
  * @returns {Promise<Object>} - The confirmation result
  */
-export const confirmPaymentIntent = async (clientSecret, paymentMethod, options = {}) => {
-  const startTime = new Date();
-  
-  try {
-    const stripe = await getStripe();
-    
-    if (!stripe) {
-      throw new Error('Stripe not initialized');
-    }
+export const confirmCardIntent = async (stripeClient, clientSecret, paymentMethod, options = undefined) => {
+  const stripeMethod = getIntentType(clientSecret) === 'setup_intent'
+    ? 'confirmCardSetup'
+    : 'confirmCardPayment';
 
-    // Determine if we have a payment method ID or element
-    const paymentMethodParam = typeof paymentMethod === 'string' 
-      ? { payment_method: paymentMethod } 
-      : { payment_method: paymentMethod };
-    
-    // Confirm the payment intent
-    const result = await stripe.confirmPaymentIntent(
-      clientSecret,
-      {
-        ...paymentMethodParam,
-        ...options
-      }
-    );
-    
-    const duration = new Date() - startTime;
-    
-    // Log the successful confirmation
-    if (logApiCallFunction) {
-      logApiCallFunction(
-        'Stripe confirmPaymentIntent',
-        {
-          clientSecret: clientSecret ? `${clientSecret.substring(0, 10)}...` : null,
-          paymentMethod: typeof paymentMethod === 'string' 
-            ? `${paymentMethod.substring(0, 5)}...` 
-            : 'PaymentElement',
-          duration: `${duration}ms`,
-        },
-        {
-          status: result.paymentIntent?.status,
-          id: result.paymentIntent?.id,
-          amount: result.paymentIntent?.amount,
-          payment_method: result.paymentIntent?.payment_method,
-        }
-      );
-    }
-    
-    return result;
-  } catch (error) {
-    const duration = new Date() - startTime;
-    
-    // Log the error
-    if (logApiCallFunction) {
-      logApiCallFunction(
-        'ERROR: Stripe confirmPaymentIntent',
-        {
-          clientSecret: clientSecret ? `${clientSecret.substring(0, 10)}...` : null,
-          duration: `${duration}ms`,
-        },
-        null,
-        {
-          message: error.message,
-          code: error.code,
-          type: error.type,
-          decline_code: error.decline_code,
-        }
-      );
-    }
-    
-    throw error;
-  }
+  return runStripeCall(stripeClient, stripeMethod, clientSecret, paymentMethod, () =>
+    stripeClient[stripeMethod](clientSecret, { payment_method: paymentMethod }, options));
+};
+
+/**
+ * Confirm an intent collected with the PaymentElement on a given Stripe client
+ * (confirmSetup for SetupIntents, confirmPayment for PaymentIntents)
+ * @param {Stripe} stripeClient - Stripe.js instance, mock or replay client
+ * @param {string} clientSecret - The client secret the Elements group was created with
+ * @param {Object} elements - Elements group holding the PaymentElement
+ * @param {Object} confirmParams - Stripe confirmParams (return_url, payment_method_data, ...)
+ * @returns {Promise<Object>} - The confirmation result ({ setupIntent } / { paymentIntent } / { error })
+ */
+export const confirmElementsIntent = async (stripeClient, clientSecret, elements, confirmParams = {}) => {
+  const stripeMethod = getIntentType(clientSecret) === 'setup_intent'
+    ? 'confirmSetup'
+    : 'confirmPayment';
+
+  // Redirect-based methods leave the page; cards resolve in place
+  return runStripeCall(stripeClient, stripeMethod, clientSecret, 'payment_element', () =>
+    stripeClient[stripeMethod]({
+      elements,
+      confirmParams,
+      redirect: 'if_required',
+      // Stripe.js takes the secret from the Elements group; the offline clients need it passed in
+      ...(stripeClient.isMock || stripeClient.isReplay ? { clientSecret } : {}),
+    }));
+};
+
+/**
+ * Run the intent's pending next_action (3-D Secure challenge or redirect)
+ * @param {Stripe} stripeClient - Stripe.js instance, mock or replay client
+ * @param {string} clientSecret - Client secret of an intent in requires_action
+ * @returns {Promise<Object>} - { setupIntent } / { paymentIntent } after the action, or { error }
+ */
+export const handleNextAction = async (stripeClient, clientSecret) =>
+  runStripeCall(stripeClient, 'handleNextAction', clientSecret, null, () =>
+    stripeClient.handleNextAction({ clientSecret }), { action: 'next_action' });
+
+/**
+ * Fetch the current state of an intent (e.g. after returning from a redirect)
+ * @param {Stripe} stripeClient - Stripe.js instance, mock or replay client
+ * @param {string} clientSecret - Intent client secret
+ * @returns {Promise<Object>} - { setupIntent } / { paymentIntent } or { error }
+ */
+export const retrieveIntent = async (stripeClient, clientSecret) => {
+  const stripeMethod = getIntentType(clientSecret) === 'setup_intent'
+    ? 'retrieveSetupIntent'
+    : 'retrievePaymentIntent';
+
+  return runStripeCall(stripeClient, stripeMethod, clientSecret, null, () =>
+    stripeClient[stripeMethod](clientSecret), { method: 'GET', action: '' });
+};
+
+// Query parameters Stripe appends to return_url
+export const REDIRECT_RETURN_PARAMS = [
+  'setup_intent',
+  'setup_intent_client_secret',
+  'payment_intent',
+  'payment_intent_client_secret',
+  'redirect_status',
+];
+
+/**
+ * Read the parameters Stripe appends to return_url after redirect-based authentication
+ * @param {string} search - Query string of the page URL
+ * @returns {Object|null} - { clientSecret, intentId, redirectStatus } or null when this is not a Stripe return
+ */
+export const parseRedirectReturn = (search) => {
+  const params = new URLSearchParams(search);
+  const clientSecret = params.get('setup_intent_client_secret') || params.get('payment_intent_client_secret');
+  if (!clientSecret) return null;
+
+  return {
+    clientSecret,
+    intentId: params.get('setup_intent') || params.get('payment_intent'),
+    redirectStatus: params.get('redirect_status'),
+  };
 };
 
 // ---------------------------------------------------------------------------//
@@ -289,7 +424,8 @@ export const createPaymentMethod = async (paymentMethodData) => {
 /**
  * Handle Stripe error responses and format them for display
  * @param {Object} error - Stripe error object
- * @returns {Object} - Formatted error object
+ * @returns {Object} - Formatted error object, with the guest message, tester
+ *   explanation and recommended action from stripeErrors.js
  */
 export const handleStripeError = (error) => {
   // Extract the most relevant error information
@@ -299,9 +435,17 @@ export const handleStripeError = (error) => {
     type: error.type,
     decline_code: error.decline_code,
     param: error.param,
+    ...explainStripeError(error),
   };
 };
 
+/**
+ * Check whether a publishable key belongs to live mode
+ * @param {string} publicKey - Stripe publishable key from Eveve
+ * @returns {boolean} - True for pk_live_ keys
+ */
+export const isLiveKey = (publicKey) => !!publicKey && publicKey.startsWith('pk_live_');
+
 /**
  * Determine if a client secret is for a SetupIntent or PaymentIntent
  * @param {string} clientSecret - The client secret from Eveve
@@ -320,25 +464,76 @@ export const getIntentType = (clientSecret) => {
   return clientSecret.includes('_seti_') ? 'setup_intent' : 'payment_intent';
 };
 
+// Confirm card input or a PaymentMethod id, adding the billing details to new card input
+const confirmCardInput = (client, clientSecret, paymentMethod, billingDetails, handleActions) => {
+  const cardInput = typeof paymentMethod === 'string' || !billingDetails
+    ? paymentMethod
+    : { ...paymentMethod, billing_details: billingDetails };
+  return confirmCardIntent(client, clientSecret, cardInput, handleActions === undefined ? undefined : { handleActions });
+};
+
+// Card confirmation for callers that already know the intent type; a secret of the other type is refused
+const confirmCardOfType = async (intentType, clientSecret, paymentMethod, options = {}) => {
+  if (getIntentType(clientSecret) !== intentType) {
+    throw new Error(`Client secret is not for a ${intentType}`);
+  }
+
+  const { stripe: stripeClient = null, billingDetails = null, handleActions } = options;
+  return confirmCardInput(stripeClient || await getStripe(), clientSecret, paymentMethod, billingDetails, handleActions);
+};
+
+/**
+ * Confirm a Stripe Setup Intent with card input (for no-show protection)
+ * @param {string} clientSecret - The client secret from the SetupIntent
+ * @param {Object|string} paymentMethod - { card } or a PaymentMethod id (see confirmIntent)
+ * @param {Object} options - { stripe, billingDetails, handleActions } (see confirmIntent)
+ * @returns {Promise<Object>} - The confirmation result ({ setupIntent } / { error })
+ */
+export const confirmSetupIntent = (clientSecret, paymentMethod, options = {}) =>
+  confirmCardOfType('setup_intent', clientSecret, paymentMethod, options);
+
+/**
+ * Confirm a Stripe Payment Intent with card input (for deposits)
+ * @param {string} clientSecret - The client secret from the PaymentIntent
+ * @param {Object|string} paymentMethod - { card } or a PaymentMethod id (see confirmIntent)
+ * @param {Object} options - { stripe, billingDetails, handleActions } (see confirmIntent)
+ * @returns {Promise<Object>} - The confirmation result ({ paymentIntent } / { error })
+ */
+export const confirmPaymentIntent = (clientSecret, paymentMethod, options = {}) =>
+  confirmCardOfType('payment_intent', clientSecret, paymentMethod, options);
+
 /**
- * Confirm the appropriate intent type based on client secret
+ * Confirm the appropriate intent type based on client secret. This is the confirmation path the
+ * form uses; every Stripe call it makes is recorded for HAR export and logged.
  * @param {string} clientSecret - The client secret from Eveve
- * @param {Object} paymentMethod - The payment method data or ID
- * @param {Object} options - Additional confirmation options
- * @returns {Promise<Object>} - The confirmation result
+ * @param {Object|string} paymentMethod - PaymentMethod id, { card } with a CardElement (or the mock
+ *   card data), or { elements } with the PaymentElement's Elements group
+ * @param {Object} options - { stripe, billingDetails, returnUrl, handleActions }: the client to use
+ *   (defaults to this run's instance), billing details for the new payment method, the PaymentElement
+ *   return_url and, for card input, whether Stripe.js handles 3-D Secure itself
+ * @returns {Promise<Object>} - The confirmation result ({ setupIntent } / { paymentIntent } / { error })
  */
 export const confirmIntent = async (clientSecret, paymentMethod, options = {}) => {
-  const intentType = getIntentType(clientSecret);
-  
-  if (intentType === 'setup_intent') {
-    return confirmSetupIntent(clientSecret, paymentMethod, options);
-  } else {
-    return confirmPaymentIntent(clientSecret, paymentMethod, options);
+  const { stripe: stripeClient = null, billingDetails = null, returnUrl = null, handleActions } = options;
+  const client = stripeClient || await getStripe();
+
+  // Both helpers pick the SetupIntent or PaymentIntent method from the client secret
+  if (paymentMethod?.elements) {
+    return confirmElementsIntent(client, clientSecret, paymentMethod.elements, {
+      ...(returnUrl ? { return_url: returnUrl } : {}),
+      ...(billingDetails ? { payment_method_data: { billing_details: billingDetails } } : {}),
+    });
   }
+
+  return confirmCardInput(client, clientSecret, paymentMethod, billingDetails, handleActions);
 };
 
 // Export all functions
 export default {
+  setMockMode,
+  isMockMode,
+  isOffline,
+  getStripeInstanceKey,
   initializeStripe,
   getStripe,
   confirmSetupIntent,
@@ -346,6 +541,13 @@ export default {
   createPaymentMethod,
   handleStripeError,
   getIntentType,
+  isLiveKey,
   confirmIntent,
+  confirmCardIntent,
+  confirmElementsIntent,
+  handleNextAction,
+  retrieveIntent,
+  REDIRECT_RETURN_PARAMS,
+  parseRedirectReturn,
   setApiLogger,
 };
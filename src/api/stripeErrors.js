@@ -0,0 +1,338 @@
+/**
+ * Stripe error explanations.
+ *
+ * Maps Stripe decline codes and error codes to a message that is safe to
+ * show the guest, an explanation for testers / support staff and a
+ * recommended action. Lost, stolen and fraud declines deliberately get the
+ * same guest message as a generic decline, as Stripe advises.
+ *
+ * Guest messages and action labels are keys in the `paymentError` section of
+ * the message catalogues, so the guest sees them in the booking language;
+ * tester explanations stay English like the rest of the tooling.
+ */
+import { translate } from '../i18n';
+
+// action → catalogue key of its label
+export const RECOMMENDED_ACTIONS = {
+  retry: 'paymentError.actions.retry',
+  another_card: 'paymentError.actions.anotherCard',
+  contact_bank: 'paymentError.actions.contactBank',
+};
+
+// decline_code → explanation (only set when code is card_declined); guest is a paymentError key
+export const DECLINE_CODES = {
+  generic_decline: {
+    guest: 'declined',
+    tester: 'The issuer declined without giving a reason.',
+    action: 'another_card',
+  },
+  insufficient_funds: {
+    guest: 'insufficientFunds',
+    tester: 'Not enough funds or credit for the deposit amount.',
+    action: 'another_card',
+  },
+  lost_card: {
+    guest: 'declined',
+    tester: 'The card was reported lost. Do not tell the guest the real reason.',
+    action: 'another_card',
+  },
+  stolen_card: {
+    guest: 'declined',
+    tester: 'The card was reported stolen. Do not tell the guest the real reason.',
+    action: 'another_card',
+  },
+  fraudulent: {
+    guest: 'declined',
+    tester: 'Stripe or the issuer suspects fraud. Do not tell the guest the real reason.',
+    action: 'another_card',
+  },
+  merchant_blacklist: {
+    guest: 'declined',
+    tester: 'The card is on the merchant block list in Stripe Radar.',
+    action: 'another_card',
+  },
+  do_not_honor: {
+    guest: 'declined',
+    tester: 'The issuer declined without giving a reason (do_not_honor).',
+    action: 'another_card',
+  },
+  do_not_try_again: {
+    guest: 'declined',
+    tester: 'The issuer asks not to retry this card.',
+    action: 'another_card',
+  },
+  call_issuer: {
+    guest: 'declinedContactBank',
+    tester: 'The issuer wants the cardholder to call them.',
+    action: 'contact_bank',
+  },
+  card_not_supported: {
+    guest: 'cardNotSupported',
+    tester: 'The card cannot be used for this kind of purchase (e.g. online or card-not-present).',
+    action: 'another_card',
+  },
+  currency_not_supported: {
+    guest: 'currencyNotSupported',
+    tester: 'The card cannot be charged in the restaurant\'s currency.',
+    action: 'another_card',
+  },
+  card_velocity_exceeded: {
+    guest: 'limitExceeded',
+    tester: 'The card is over its balance, credit limit or transaction count limit.',
+    action: 'another_card',
+  },
+  withdrawal_count_limit_exceeded: {
+    guest: 'limitExceeded',
+    tester: 'The card has hit its transaction count limit.',
+    action: 'another_card',
+  },
+  duplicate_transaction: {
+    guest: 'duplicate',
+    tester: 'An identical charge was made very recently.',
+    action: 'contact_bank',
+  },
+  expired_card: {
+    guest: 'expiredCard',
+    tester: 'The card has expired.',
+    action: 'another_card',
+  },
+  incorrect_cvc: {
+    guest: 'incorrectCvc',
+    tester: 'The CVC does not match.',
+    action: 'retry',
+  },
+  incorrect_number: {
+    guest: 'incorrectNumber',
+    tester: 'The card number is wrong.',
+    action: 'retry',
+  },
+  incorrect_zip: {
+    guest: 'incorrectZip',
+    tester: 'The postal code failed the issuer\'s address check.',
+    action: 'retry',
+  },
+  authentication_required: {
+    guest: 'authenticationRequired',
+    tester: 'The issuer requires 3-D Secure, but the payment was not authenticated.',
+    action: 'retry',
+  },
+  approve_with_id: {
+    guest: 'notAuthorised',
+    tester: 'The issuer could not authorise the payment; a retry usually works.',
+    action: 'retry',
+  },
+  issuer_not_available: {
+    guest: 'bankUnavailable',
+    tester: 'The issuer could not be reached.',
+    action: 'retry',
+  },
+  try_again_later: {
+    guest: 'declinedTryLater',
+    tester: 'The issuer declined for a temporary reason.',
+    action: 'retry',
+  },
+  reenter_transaction: {
+    guest: 'notProcessed',
+    tester: 'The issuer could not process the payment; a retry usually works.',
+    action: 'retry',
+  },
+  processing_error: {
+    guest: 'processingError',
+    tester: 'Something went wrong while processing the card.',
+    action: 'retry',
+  },
+  pickup_card: {
+    guest: 'declined',
+    tester: 'The issuer asks for the card to be retained (it may be lost or stolen).',
+    action: 'another_card',
+  },
+  restricted_card: {
+    guest: 'declined',
+    tester: 'The card is restricted (it may be lost or stolen).',
+    action: 'another_card',
+  },
+  security_violation: {
+    guest: 'declined',
+    tester: 'The issuer flagged a security violation.',
+    action: 'another_card',
+  },
+  transaction_not_allowed: {
+    guest: 'declinedContactBank',
+    tester: 'The issuer does not allow this kind of transaction on the card.',
+    action: 'contact_bank',
+  },
+  not_permitted: {
+    guest: 'declinedContactBank',
+    tester: 'The payment is not permitted for this card.',
+    action: 'contact_bank',
+  },
+  invalid_account: {
+    guest: 'declinedContactBank',
+    tester: 'The card or its account is invalid.',
+    action: 'contact_bank',
+  },
+  invalid_amount: {
+    guest: 'amountDeclined',
+    tester: 'The amount is invalid or over what the issuer allows.',
+    action: 'contact_bank',
+  },
+  testmode_decline: {
+    guest: 'declined',
+    tester: 'A Stripe test card was used with a live key.',
+    action: 'another_card',
+  },
+};
+
+// error code → explanation (card_declined is resolved through DECLINE_CODES)
+export const ERROR_CODES = {
+  card_declined: DECLINE_CODES.generic_decline,
+  expired_card: DECLINE_CODES.expired_card,
+  incorrect_cvc: DECLINE_CODES.incorrect_cvc,
+  incorrect_number: DECLINE_CODES.incorrect_number,
+  incorrect_zip: DECLINE_CODES.incorrect_zip,
+  processing_error: DECLINE_CODES.processing_error,
+  authentication_required: DECLINE_CODES.authentication_required,
+  invalid_cvc: {
+    guest: 'invalidCvc',
+    tester: 'The CVC is not in a valid format.',
+    action: 'retry',
+  },
+  invalid_number: {
+    guest: 'invalidNumber',
+    tester: 'The card number is not a valid card number.',
+    action: 'retry',
+  },
+  invalid_expiry_month: {
+    guest: 'invalidExpiryMonth',
+    tester: 'The expiry month is invalid.',
+    action: 'retry',
+  },
+  invalid_expiry_year: {
+    guest: 'invalidExpiryYear',
+    tester: 'The expiry year is invalid.',
+    action: 'retry',
+  },
+  payment_intent_authentication_failure: {
+    guest: 'verificationFailed',
+    tester: '3-D Secure authentication failed or was cancelled.',
+    action: 'retry',
+  },
+  setup_intent_authentication_failure: {
+    guest: 'verificationFailed',
+    tester: '3-D Secure authentication failed or was cancelled.',
+    action: 'retry',
+  },
+  card_decline_rate_limit_exceeded: {
+    guest: 'tooManyDeclines',
+    tester: 'Too many declines on this card in a short time. Stripe blocks it for 24 hours.',
+    action: 'another_card',
+  },
+  payment_intent_unexpected_state: {
+    guest: 'paymentAlreadyProcessed',
+    tester: 'The PaymentIntent is not confirmable, e.g. it already succeeded or was cancelled. Check pi-get.',
+    action: 'retry',
+  },
+  setup_intent_unexpected_state: {
+    guest: 'setupAlreadyProcessed',
+    tester: 'The SetupIntent is not confirmable, e.g. it already succeeded or was cancelled. Check pi-get.',
+    action: 'retry',
+  },
+  resource_missing: {
+    guest: 'paymentMissing',
+    tester: 'Stripe has no such intent. The client secret may belong to another account or key.',
+    action: 'retry',
+  },
+  amount_too_small: {
+    guest: 'amountTooSmall',
+    tester: 'The amount is below Stripe\'s minimum for the currency. Check deposit-get.',
+    action: 'retry',
+  },
+};
+
+// error type → explanation when neither code is recognised
+const ERROR_TYPES = {
+  card_error: {
+    guest: 'declined',
+    tester: 'The card could not be charged.',
+    action: 'another_card',
+  },
+  validation_error: {
+    guest: 'invalidDetails',
+    tester: 'Stripe.js rejected the card details before contacting Stripe.',
+    action: 'retry',
+  },
+  invalid_request_error: {
+    guest: 'requestFailed',
+    tester: 'Stripe rejected the request. This is usually an integration problem, not the card.',
+    action: 'retry',
+  },
+  authentication_error: {
+    guest: 'requestFailedLater',
+    tester: 'Stripe rejected the publishable key.',
+    action: 'retry',
+  },
+  rate_limit_error: {
+    guest: 'tooManyAttempts',
+    tester: 'Stripe rate-limited the requests.',
+    action: 'retry',
+  },
+  api_connection_error: {
+    guest: 'providerUnreachable',
+    tester: 'Stripe could not be reached (network problem).',
+    action: 'retry',
+  },
+  api_error: {
+    guest: 'providerError',
+    tester: 'Stripe returned an internal error.',
+    action: 'retry',
+  },
+};
+
+const UNKNOWN_ERROR = {
+  guest: 'unknown',
+  tester: 'The error is not a recognised Stripe error. See the message and the log.',
+  action: 'retry',
+};
+
+/**
+ * Explain a Stripe error for the guest and for testers
+ * @param {Object} error - Stripe error ({ type, code, decline_code, message })
+ * @param {string|null} lng - Booking language for guestMessage and actionLabel (English when omitted)
+ * @returns {Object} - { guestMessage, guestMessageKey, explanation, action, actionLabel, actionLabelKey, matchedBy }
+ */
+export const explainStripeError = (error = {}, lng = null) => {
+  let matchedBy = 'unknown';
+  let entry = UNKNOWN_ERROR;
+
+  // Most specific first: decline_code, then code, then type
+  if (DECLINE_CODES[error.decline_code]) {
+    matchedBy = `decline_code:${error.decline_code}`;
+    entry = DECLINE_CODES[error.decline_code];
+  } else if (ERROR_CODES[error.code]) {
+    matchedBy = `code:${error.code}`;
+    entry = ERROR_CODES[error.code];
+  } else if (ERROR_TYPES[error.type]) {
+    matchedBy = `type:${error.type}`;
+    entry = ERROR_TYPES[error.type];
+  }
+
+  const guestMessageKey = `paymentError.${entry.guest}`;
+  const actionLabelKey = RECOMMENDED_ACTIONS[entry.action];
+
+  return {
+    guestMessage: translate(lng, guestMessageKey),
+    guestMessageKey,
+    explanation: entry.tester,
+    action: entry.action,
+    actionLabel: translate(lng, actionLabelKey),
+    actionLabelKey,
+    matchedBy,
+  };
+};
+
+export default {
+  RECOMMENDED_ACTIONS,
+  DECLINE_CODES,
+  ERROR_CODES,
+  explainStripeError,
+};
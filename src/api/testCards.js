@@ -0,0 +1,93 @@
+/**
+ * Stripe test cards, grouped by outcome.
+ *
+ * Numbers are from Stripe's testing docs and only work with test-mode keys.
+ * The offline mock (mockStripe.js) answers each of them the same way.
+ */
+
+export const TEST_CARD_GROUPS = [
+  {
+    key: 'success',
+    label: 'Success',
+    cards: [
+      { number: '4242424242424242', brand: 'Visa' },
+      { number: '5555555555554444', brand: 'Mastercard' },
+      { number: '378282246310005', brand: 'Amex', note: '4-digit CVC' },
+      { number: '4000056655665556', brand: 'Visa debit' },
+    ],
+  },
+  {
+    key: '3ds',
+    label: '3DS required',
+    cards: [
+      { number: '4000002500003155', brand: 'Visa', note: 'unless set up off-session' },
+      { number: '4000002760003184', brand: 'Visa', note: 'always' },
+      { number: '4000008400001629', brand: 'Visa', note: 'declined after authenticating' },
+    ],
+  },
+  {
+    key: 'generic_decline',
+    label: 'Generic decline',
+    cards: [
+      { number: '4000000000000002', brand: 'Visa' },
+      { number: '4000000000009987', brand: 'Visa', note: 'lost_card' },
+      { number: '4000000000009979', brand: 'Visa', note: 'stolen_card' },
+    ],
+  },
+  {
+    key: 'insufficient_funds',
+    label: 'Insufficient funds',
+    cards: [{ number: '4000000000009995', brand: 'Visa' }],
+  },
+  {
+    key: 'expired',
+    label: 'Expired',
+    cards: [{ number: '4000000000000069', brand: 'Visa' }],
+  },
+  {
+    key: 'incorrect_cvc',
+    label: 'Incorrect CVC',
+    cards: [{ number: '4000000000000127', brand: 'Visa' }],
+  },
+  {
+    key: 'fraudulent',
+    label: 'Fraudulent',
+    cards: [{ number: '4100000000000019', brand: 'Visa' }],
+  },
+];
+
+/**
+ * Format a card number in groups of four for display and copying
+ * @param {string} number - Card number digits
+ * @returns {string} - e.g. '4242 4242 4242 4242'
+ */
+export const formatCardNumber = (number) => number.replace(/(\d{4})(?=\d)/g, '$1 ');
+
+/**
+ * Look up a test card by number
+ * @param {string} number - Card number, spaces allowed
+ * @returns {Object|null} - { number, brand, note?, outcome, outcomeLabel } or null when not a listed test card
+ */
+export const findTestCard = (number) => {
+  const digits = (number || '').replace(/\D/g, '');
+
+  for (const group of TEST_CARD_GROUPS) {
+    const card = group.cards.find(c => c.number === digits);
+    if (card) return { ...card, outcome: group.key, outcomeLabel: group.label };
+  }
+  return null;
+};
+
+/**
+ * Short description of a test card for log entries
+ * @param {Object} card - Card from findTestCard
+ * @returns {string} - e.g. '4000 0000 0000 9995 (Insufficient funds)'
+ */
+export const describeTestCard = (card) => `${formatCardNumber(card.number)} (${card.outcomeLabel}${card.note ? `, ${card.note}` : ''})`;
+
+export default {
+  TEST_CARD_GROUPS,
+  formatCardNumber,
+  findTestCard,
+  describeTestCard,
+};
@@ -0,0 +1,130 @@
+/**
+ * Waterfall timeline of a run's API calls.
+ *
+ * Log entries are stamped when they are added, which is after the response
+ * arrived, so a call with a logged `duration` spans [timestamp − duration,
+ * timestamp]. The time between calls is split into think time (long gaps:
+ * the guest reading or typing) and client time (short gaps: the app itself
+ * working between one response and the next request).
+ */
+
+// Gaps between calls longer than this are counted as guest think time
+export const THINK_TIME_THRESHOLD_MS = 1000;
+
+// Milliseconds from a logged duration ('123ms'), null when the entry was not a timed call
+const parseDuration = (duration) => {
+  const match = typeof duration === 'string' ? duration.match(/^(\d+(?:\.\d+)?)ms$/) : null;
+  return match ? Number(match[1]) : null;
+};
+
+// Short name for a call: the Eveve path or the Stripe method
+const callName = (log) => {
+  if (log.request?.url) return log.request.url.split('?')[0].replace(/^https?:\/\/[^/]+/, '');
+  return log.label.replace(/^ERROR: /, '');
+};
+
+// Merge intervals sorted by start (calls may overlap) into the stretches where a call was in flight
+const mergeIntervals = (intervals) => {
+  const merged = [];
+  intervals.forEach(({ start, end }) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      merged.push({ start, end });
+    }
+  });
+  return merged;
+};
+
+// Length of the part of [start, end] inside [from, to]
+const overlap = (start, end, from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from));
+
+/**
+ * Build the timeline for a run
+ * @param {Array} logs - Log entries (live or from an archived run)
+ * @param {Object} options - { transitions: [{ timestamp, from, to }], holdExpiry: ms, thinkThreshold: ms }
+ * @returns {Object} - { start, end, calls, gaps, transitions, totals: { network, think, client }, hold }
+ *   where times are epoch ms and hold is { start, expiry, network, think, client, remaining } or null
+ */
+export const buildTimeline = (logs, { transitions = [], holdExpiry = null, thinkThreshold = THINK_TIME_THRESHOLD_MS } = {}) => {
+  const calls = logs
+    .map((log) => {
+      const duration = parseDuration(log.request?.duration);
+      const end = Date.parse(log.timestamp);
+      if (duration === null || Number.isNaN(end)) return null;
+      return {
+        id: log.id,
+        label: log.label,
+        name: callName(log),
+        source: log.request.url ? 'eveve' : 'stripe',
+        status: log.status,
+        start: end - duration,
+        end,
+        duration,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const flowTransitions = transitions
+    .map(transition => ({ ...transition, at: Date.parse(transition.timestamp) }))
+    .filter(transition => !Number.isNaN(transition.at));
+
+  if (calls.length === 0) {
+    return {
+      start: null,
+      end: null,
+      calls,
+      gaps: [],
+      transitions: flowTransitions,
+      totals: { network: 0, think: 0, client: 0 },
+      hold: null,
+    };
+  }
+
+  const busy = mergeIntervals(calls);
+  const gaps = busy.slice(1).map((segment, index) => {
+    const start = busy[index].end;
+    const duration = segment.start - start;
+    return { start, end: segment.start, duration, kind: duration >= thinkThreshold ? 'think' : 'client' };
+  });
+
+  const start = calls[0].start;
+  const end = busy[busy.length - 1].end;
+
+  const sumWithin = (intervals, from, to) =>
+    intervals.reduce((total, interval) => total + overlap(interval.start, interval.end, from, to), 0);
+
+  const totalsWithin = (from, to) => ({
+    network: sumWithin(busy, from, to),
+    think: sumWithin(gaps.filter(gap => gap.kind === 'think'), from, to),
+    client: sumWithin(gaps.filter(gap => gap.kind === 'client'), from, to),
+  });
+
+  // The hold clock starts when the (latest) successful HOLD response arrives
+  const holdCall = [...calls].reverse().find(call => call.source === 'eveve' && call.name.endsWith('/hold') && call.status === 'success');
+  const hold = holdCall && holdExpiry
+    ? {
+      start: holdCall.end,
+      expiry: holdExpiry,
+      ...totalsWithin(holdCall.end, Math.min(end, holdExpiry)),
+      remaining: holdExpiry - end,
+    }
+    : null;
+
+  return {
+    start,
+    end,
+    calls,
+    gaps,
+    transitions: flowTransitions,
+    totals: totalsWithin(start, end),
+    hold,
+  };
+};
+
+export default {
+  THINK_TIME_THRESHOLD_MS,
+  buildTimeline,
+};
@@ -0,0 +1,74 @@
+import { useFlow } from '../context/FlowContext';
+import useLogger from '../hooks/useLogger';
+
+// Badge colours per violation kind
+const kindClasses = {
+  missing: 'bg-red-100 text-red-800',
+  type: 'bg-orange-100 text-orange-800',
+  casing: 'bg-yellow-100 text-yellow-800',
+  value: 'bg-purple-100 text-purple-800',
+};
+
+/**
+ * Lists every Eveve response schema violation seen this session
+ */
+const ContractPanel = () => {
+  const { contractViolations, clearContractViolations } = useFlow();
+  const { formatTimestamp } = useLogger();
+
+  if (contractViolations.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500">
+        <p className="mt-2">No contract violations</p>
+        <p className="text-sm">Every Eveve response so far matched its schema</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-sm text-gray-600">
+          {contractViolations.length} violation{contractViolations.length === 1 ? '' : 's'} this session
+        </p>
+        <button
+          onClick={clearContractViolations}
+          className="form-button py-1 px-2 text-sm bg-gray-100 text-gray-800 hover:bg-gray-200"
+        >
+          Clear
+        </button>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-1 pr-2 font-medium">Time</th>
+            <th className="py-1 pr-2 font-medium">Endpoint</th>
+            <th className="py-1 pr-2 font-medium">Field</th>
+            <th className="py-1 pr-2 font-medium">Kind</th>
+            <th className="py-1 font-medium">Detail</th>
+          </tr>
+        </thead>
+        <tbody>
+          {contractViolations.map((violation, index) => (
+            <tr key={`violation-${index}`} className="border-b border-gray-100 align-top">
+              <td className="py-1 pr-2 text-xs text-gray-500 whitespace-nowrap">
+                {formatTimestamp(violation.timestamp)}
+              </td>
+              <td className="py-1 pr-2 font-mono" title={violation.label}>{violation.endpoint}</td>
+              <td className="py-1 pr-2 font-mono">{violation.field}</td>
+              <td className="py-1 pr-2">
+                <span className={`px-1.5 py-0.5 rounded text-xs ${kindClasses[violation.kind] || 'bg-gray-100'}`}>
+                  {violation.kind}
+                </span>
+              </td>
+              <td className="py-1">{violation.message}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ContractPanel;
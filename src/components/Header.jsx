@@ -1,16 +1,20 @@
 import { useState, useEffect } from 'react';
 import { useFlow, FLOW_STATES } from '../context/FlowContext';
+import * as eveveApi from '../api/eveve';
+import * as stripeApi from '../api/stripe';
+import { MOCK_SCENARIOS } from '../api/mockEveve';
+import useTranslation from '../hooks/useTranslation';
 
-// Map flow states to user-friendly labels
+// Map flow states to user-friendly label keys (see src/i18n)
 const flowStateLabels = {
-  [FLOW_STATES.IDLE]: 'Ready',
-  [FLOW_STATES.HOLDING]: 'Booking Hold...',
-  [FLOW_STATES.AWAITING_STRIPE]: 'Retrieving Stripe Keys...',
-  [FLOW_STATES.ENTERING_CARD]: 'Enter Payment Details',
-  [FLOW_STATES.CARD_CONFIRMED]: 'Card Confirmed',
-  [FLOW_STATES.COLLECTING_USER]: 'Enter Customer Details',
-  [FLOW_STATES.COMPLETED]: 'Booking Complete',
-  [FLOW_STATES.ERROR]: 'Error'
+  [FLOW_STATES.IDLE]: 'status.idle',
+  [FLOW_STATES.HOLDING]: 'status.holding',
+  [FLOW_STATES.AWAITING_STRIPE]: 'status.awaitingStripe',
+  [FLOW_STATES.ENTERING_CARD]: 'status.enteringCard',
+  [FLOW_STATES.CARD_CONFIRMED]: 'status.cardConfirmed',
+  [FLOW_STATES.COLLECTING_USER]: 'status.collectingUser',
+  [FLOW_STATES.COMPLETED]: 'status.completed',
+  [FLOW_STATES.ERROR]: 'status.error'
 };
 
 // Map flow states to progress percentage
@@ -26,10 +30,32 @@ const flowStateProgress = {
 };
 
 const Header = () => {
-  const { flowState, resetState, booking, error, getHoldTimeRemaining } = useFlow();
+  const { flowState, resetState, booking, stripe, error, getHoldTimeRemaining, holdExpirySource, settings, setSettings, paymentMethod } = useFlow();
+  const { t, language } = useTranslation();
   const [timeRemaining, setTimeRemaining] = useState(null);
   const [showExpiryWarning, setShowExpiryWarning] = useState(false);
 
+  // Switch the Eveve API between live hosts and a mock scenario
+  const handleApiModeChange = (e) => {
+    const scenario = e.target.value === 'live' ? null : e.target.value;
+    eveveApi.setMockScenario(scenario);
+    setSettings({ eveveMock: scenario });
+  };
+
+  // Switch between Stripe.js and the offline Stripe stand-in
+  const handleStripeModeChange = (e) => {
+    const enabled = e.target.value === 'mock';
+    stripeApi.setMockMode(enabled);
+    setSettings({ stripeMock: enabled });
+  };
+
+  // Where the expiry shown in the timer pill comes from
+  const expirySourceLabels = {
+    until: 'Expiry from the hold response `until`',
+    created: 'Expiry from the hold response `created` + 3 minutes',
+    client: 'Expiry from the local clock (no server timestamp)',
+  };
+
   // Format time as MM:SS
   const formatTimeRemaining = (ms) => {
     if (ms === null) return '00:00';
@@ -47,28 +73,32 @@ const Header = () => {
     return 'px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700';
   };
 
-  // Update timer every second – display-only, no auto-reset
+  // Update timer every second – no auto-reset; with auto re-hold on the form replaces
+  // the hold instead, so the warning is not shown (unless the card is already
+  // confirmed, which the form never re-holds)
+  const reholds = settings.autoRehold && !paymentMethod;
   useEffect(() => {
     // only run timer while a booking exists
     if (!booking) {
       setTimeRemaining(null);
+      setShowExpiryWarning(false);
       return;
     }
     // initial value
     const initial = getHoldTimeRemaining();
     setTimeRemaining(initial);
-    if (initial <= 0) setShowExpiryWarning(true);
+    setShowExpiryWarning(initial <= 0 && !reholds);
 
     const id = setInterval(() => {
       const remaining = getHoldTimeRemaining();
       setTimeRemaining(remaining);
-      if (remaining <= 0) {
+      if (remaining <= 0 && !reholds) {
         setShowExpiryWarning(true);
       }
     }, 1000);
 
     return () => clearInterval(id);
-  }, [booking, getHoldTimeRemaining]);
+  }, [booking, getHoldTimeRemaining, reholds]);
   
   return (
     <header className="bg-white shadow-md sticky top-0 z-50">
@@ -88,25 +118,101 @@ const Header = () => {
           <div className="flex items-center space-x-4">
             {/* Flow State Label */}
             <div className="text-sm font-medium">
-              Status: <span className={`${flowState === FLOW_STATES.ERROR ? 'text-red-600 font-bold' : 'text-gray-700'}`}>
-                {flowStateLabels[flowState]}
+              {t('header.status')} <span className={`${flowState === FLOW_STATES.ERROR ? 'text-red-600 font-bold' : 'text-gray-700'}`}>
+                {t(flowStateLabels[flowState])}
               </span>
               
               {/* Show booking ID if available */}
               {booking?.uid && (
                 <span className="ml-2 text-xs text-gray-500">
-                  (UID: {booking.uid})
+                  (UID: {booking.uid}{booking.region ? ` · ${booking.region.code}` : ''})
+                </span>
+              )}
+              
+              {/* Booking language from the HOLD lng (English UI when there is no catalogue for it) */}
+              {booking && (
+                <span
+                  className="ml-2 text-xs text-gray-500"
+                  title={language.translated ? `UI, dates and Stripe Elements in ${language.label}` : `No ${language.label} catalogue – UI falls back to English`}
+                >
+                  Lang: <span className="font-mono">{language.code}</span>{!language.translated && ' (en UI)'}
+                </span>
+              )}
+              
+              {/* Stripe Connect account the intent lives on */}
+              {stripe.account && (
+                <span className="ml-2 text-xs text-gray-500" title="Stripe Connect account from pi-get">
+                  Account: <span className="font-mono">{stripe.account}</span>
                 </span>
               )}
             </div>
             
             {/* Countdown Timer – warning only, no auto-reset */}
             {timeRemaining !== null && (
-              <div className={getTimerClass(timeRemaining)}>
+              <div className={getTimerClass(timeRemaining)} title={expirySourceLabels[holdExpirySource]}>
                 Expiry&nbsp;{formatTimeRemaining(timeRemaining)}
               </div>
             )}
 
+            {/* Auto re-hold */}
+            <label className="flex items-center text-xs text-gray-700" title="Issue a fresh hold with the same parameters when the current one expires">
+              <input
+                type="checkbox"
+                checked={settings.autoRehold}
+                onChange={(e) => setSettings({ autoRehold: e.target.checked })}
+                className="mr-1"
+              />
+              Re-hold on expiry
+            </label>
+
+            {/* Keep Stripe client secrets in the reload snapshot */}
+            <label className="flex items-center text-xs text-gray-700" title="Also save the Stripe client secret so a reloaded flow does not need pi-get again">
+              <input
+                type="checkbox"
+                checked={settings.persistSecrets}
+                onChange={(e) => setSettings({ persistSecrets: e.target.checked })}
+                className="mr-1"
+              />
+              Keep secrets on reload
+            </label>
+
+            {/* Eveve API Mode */}
+            <select
+              value={settings.eveveMock || 'live'}
+              onChange={handleApiModeChange}
+              className={`text-sm rounded-md border px-2 py-1 ${settings.eveveMock ? 'border-purple-400 bg-purple-50 text-purple-800' : 'border-gray-300'}`}
+              title="Eveve API mode"
+            >
+              <option value="live">Eveve: Live</option>
+              <optgroup label="Eveve: Mock">
+                {Object.entries(MOCK_SCENARIOS).map(([key, scenario]) => (
+                  <option key={key} value={key}>Mock – {scenario.label}</option>
+                ))}
+              </optgroup>
+            </select>
+
+            {/* Stripe Mode – only switchable before the card step starts */}
+            <select
+              value={settings.stripeMock ? 'mock' : 'live'}
+              onChange={handleStripeModeChange}
+              className={`text-sm rounded-md border px-2 py-1 ${settings.stripeMock ? 'border-purple-400 bg-purple-50 text-purple-800' : 'border-gray-300'}`}
+              title="Stripe mode"
+              disabled={flowState === FLOW_STATES.ENTERING_CARD}
+            >
+              <option value="live">Stripe: Live</option>
+              <option value="mock">Stripe: Mock</option>
+            </select>
+
+            {/* HAR Replay Badge */}
+            {settings.replay && (
+              <span
+                className="px-2 py-0.5 rounded text-xs bg-purple-100 text-purple-800"
+                title={`Replaying ${settings.replay.entries} recorded calls`}
+              >
+                Replay: {settings.replay.name}
+              </span>
+            )}
+
             {/* Reset Button */}
             <button
               onClick={resetState}
@@ -137,7 +243,7 @@ const Header = () => {
         {showExpiryWarning && (
           <div className="mt-2 text-sm text-yellow-800 bg-yellow-50 p-2 rounded flex justify-between items-start">
             <span>
-              Timer has expired. You may encounter an error if you proceed without resetting or completing the flow.
+              {t('header.expiredWarning')}
             </span>
             <button
               onClick={() => setShowExpiryWarning(false)}
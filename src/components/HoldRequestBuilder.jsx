@@ -0,0 +1,149 @@
+import {
+  DEFAULT_HOLD_BASE,
+  HOLD_LANGUAGES,
+  HOLD_TIME_SLOTS,
+  formatHoldTime,
+  splitHoldUrl,
+  buildHoldUrl,
+  parseHoldField,
+} from '../api/holdRequest';
+
+/**
+ * Form-based editor for the HOLD URL.
+ * The URL stays the single source of truth: fields are read from it and
+ * every edit writes a rebuilt URL back through onChange.
+ */
+const HoldRequestBuilder = ({ url, onChange, disabled = false }) => {
+  const parsed = splitHoldUrl(url) || { base: DEFAULT_HOLD_BASE, fields: {}, unknown: {} };
+  const { base, fields, unknown } = parsed;
+
+  const setField = (key, value) => {
+    onChange(buildHoldUrl(base, { ...fields, [key]: value }, unknown));
+  };
+
+  // Keep values from a pasted URL selectable even if they are not in the lists
+  const languages = fields.lng && !HOLD_LANGUAGES.includes(fields.lng)
+    ? [...HOLD_LANGUAGES, fields.lng]
+    : HOLD_LANGUAGES;
+  // A pasted time that is not a valid decimal hour is flagged, not coerced into the list
+  const time = fields.time !== undefined && String(fields.time).trim() !== ''
+    ? parseHoldField('time', fields.time)
+    : { value: undefined, error: null };
+  const timeValue = time.value !== undefined && !time.error ? String(time.value) : '';
+  const timeSlots = timeValue && !HOLD_TIME_SLOTS.map(String).includes(timeValue)
+    ? [...HOLD_TIME_SLOTS, time.value].sort((a, b) => a - b)
+    : HOLD_TIME_SLOTS;
+  const unknownKeys = Object.keys(unknown);
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-md">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="col-span-2">
+          <label htmlFor="hold-est" className="form-label">Establishment</label>
+          <input
+            id="hold-est"
+            type="text"
+            value={fields.est || ''}
+            onChange={(e) => setField('est', e.target.value)}
+            placeholder="TestNZA"
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="hold-lng" className="form-label">Language</label>
+          <select
+            id="hold-lng"
+            value={fields.lng || 'en'}
+            onChange={(e) => setField('lng', e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          >
+            {languages.map((lng) => (
+              <option key={lng} value={lng}>{lng}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="hold-covers" className="form-label">Covers</label>
+          <input
+            id="hold-covers"
+            type="number"
+            min="1"
+            value={fields.covers || ''}
+            onChange={(e) => setField('covers', e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="hold-date" className="form-label">Date</label>
+          <input
+            id="hold-date"
+            type="date"
+            value={fields.date || ''}
+            onChange={(e) => setField('date', e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="hold-time" className="form-label">Time</label>
+          <select
+            id="hold-time"
+            value={timeValue}
+            onChange={(e) => setField('time', e.target.value)}
+            className={`form-input ${time.error ? 'border-red-500' : ''}`}
+            disabled={disabled}
+          >
+            <option value="">Select…</option>
+            {timeSlots.map((slot) => (
+              <option key={slot} value={String(slot)}>{formatHoldTime(slot)}</option>
+            ))}
+          </select>
+          {time.error && (
+            <p className="mt-1 text-xs text-red-600">
+              {time.error} (URL has &quot;{fields.time}&quot;)
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="hold-area" className="form-label">Area (optional)</label>
+          <input
+            id="hold-area"
+            type="number"
+            value={fields.area || ''}
+            onChange={(e) => setField('area', e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="hold-event" className="form-label">Event (optional)</label>
+          <input
+            id="hold-event"
+            type="number"
+            value={fields.event || ''}
+            onChange={(e) => setField('event', e.target.value)}
+            className="form-input"
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      {unknownKeys.length > 0 && (
+        <p className="mt-2 text-xs text-yellow-700">
+          Not sent to Eveve: {unknownKeys.join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default HoldRequestBuilder;
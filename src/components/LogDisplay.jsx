@@ -1,24 +1,49 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { useFlow } from '../context/FlowContext';
 import useLogger from '../hooks/useLogger';
 import JsonViewer from './JsonViewer';
+import ContractPanel from './ContractPanel';
+import RunHistory from './RunHistory';
+import RunTimeline from './RunTimeline';
+import * as har from '../api/har';
+import { redact } from '../api/redaction';
 
 const LogDisplay = () => {
-  const { logs } = useFlow();
+  const {
+    logs: liveLogs,
+    settings,
+    setSettings,
+    contractViolations,
+    viewingRun,
+    setViewingRun,
+    logFocus,
+    setLogFocus,
+    flowTransitions,
+    holdExpiry
+  } = useFlow();
   const { 
     clearLogs, 
-    formatJson, 
-    copyToClipboard, 
+    copyLogToClipboard, 
     copyAsCurl, 
     exportLogs, 
     getLogStatusClass, 
-    formatTimestamp 
+    formatTimestamp,
+    logInfo,
+    logError
   } = useLogger();
   
+  const [tab, setTab] = useState('log'); // 'log', 'timeline', 'contract' or 'history'
   const [filter, setFilter] = useState('all');
   const [expandedLogs, setExpandedLogs] = useState({});
   const [copiedId, setCopiedId] = useState(null);
+  // Secrets and guest data are masked on screen unless revealed; copies and exports use exportLevel
+  const [reveal, setReveal] = useState(false);
+  const [exportLevel, setExportLevel] = useState('strict');
   const logEndRef = useRef(null);
+  const harInputRef = useRef(null);
+  
+  // An archived run opened from the History tab replaces the live log until closed
+  const logs = viewingRun ? viewingRun.logs : liveLogs;
   
   /*
    * Auto-scrolling removed per requirements:
@@ -45,22 +70,111 @@ const LogDisplay = () => {
   
   // Handle copying log to clipboard
   const handleCopy = async (log, index) => {
-    const success = await copyToClipboard(formatJson(log));
+    const success = await copyLogToClipboard(log, exportLevel);
     if (success) setCopiedId(`log-${index}`);
   };
   
   // Handle copying as cURL command
   const handleCopyAsCurl = async (request, index) => {
-    const success = await copyAsCurl(request);
+    const success = await copyAsCurl(request, exportLevel);
     if (success) setCopiedId(`curl-${index}`);
   };
   
+  // Show an archived run's logs in the log tab
+  const openRun = (run) => {
+    setViewingRun(run);
+    setExpandedLogs({});
+    setTab('log');
+  };
+  
+  const closeRun = () => {
+    setViewingRun(null);
+    setExpandedLogs({});
+  };
+  
+  // Load a HAR file and replay it instead of hitting the network
+  const handleHarFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      const summary = har.loadReplay(JSON.parse(await file.text()));
+      setSettings({ replay: { name: file.name, entries: summary.entries } });
+      logInfo(`HAR loaded for replay: ${file.name}`, summary);
+    } catch (error) {
+      logError('Failed to load HAR file', { message: error.message });
+    }
+  };
+  
+  // Stop replaying and go back to the network
+  const stopReplay = () => {
+    har.clearReplay();
+    setSettings({ replay: null });
+  };
+  
+  // Fold every attempt of a retried request into one entry showing the
+  // latest attempt, with all attempts kept under `attempts`
+  const displayLogs = useMemo(() => {
+    const folded = [];
+    const groupPositions = {};
+    logs.forEach((log) => {
+      if (log.group === undefined || log.group === null) {
+        folded.push(log);
+        return;
+      }
+      
+      const position = groupPositions[log.group];
+      if (position === undefined) {
+        groupPositions[log.group] = folded.length;
+        folded.push({ ...log, attempts: [log] });
+      } else {
+        folded[position] = { ...log, attempts: [...folded[position].attempts, log] };
+      }
+    });
+    return folded;
+  }, [logs]);
+  
+  // What the panel shows: the same entries, redacted for display unless revealed
+  const shownLogs = useMemo(() => (
+    reveal ? displayLogs : displayLogs.map(log => redact(log, 'display'))
+  ), [displayLogs, reveal]);
+  
+  // Jump to a log entry requested elsewhere (e.g. a scenario runner row):
+  // show the live, unfiltered log first, then expand and scroll to the entry
+  useEffect(() => {
+    if (!logFocus) return;
+    if (viewingRun) {
+      setViewingRun(null);
+      return;
+    }
+    if (tab !== 'log' || filter !== 'all') {
+      setTab('log');
+      setFilter('all');
+      return;
+    }
+    
+    setLogFocus(null);
+    const position = displayLogs.findIndex(log => (
+      log.id === logFocus || log.attempts?.some(attempt => attempt.id === logFocus)
+    ));
+    if (position === -1) return;
+    
+    setExpandedLogs({ [displayLogs.length - 1 - position]: true });
+    document.getElementById(`log-entry-${position}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [logFocus, viewingRun, tab, filter, displayLogs, setViewingRun, setLogFocus]);
+  
   // Filter logs based on selected filter
-  const filteredLogs = logs.filter(log => {
+  const filteredLogs = displayLogs.filter(log => {
     if (filter === 'all') return true;
     return log.status === filter;
   });
   
+  // Tab button styling
+  const tabClass = (name) => `text-lg font-semibold px-2 py-0.5 rounded ${
+    tab === name ? 'text-stripe-dark bg-gray-100' : 'text-gray-400 hover:text-gray-600'
+  }`;
+  
   // Get icon for log status
   const getStatusIcon = (status) => {
     switch (status) {
@@ -95,8 +209,26 @@ const LogDisplay = () => {
     <div className="bg-white rounded-lg shadow-md p-4 mt-4 max-h-[600px] overflow-y-auto">
       {/* Header with controls */}
       <div className="flex justify-between items-center mb-4 sticky top-0 bg-white z-10 pb-2 border-b">
-        <h2 className="text-lg font-semibold text-stripe-dark">API Log ({filteredLogs.length})</h2>
+        <div className="flex space-x-1">
+          <button onClick={() => setTab('log')} className={tabClass('log')}>
+            API Log ({filteredLogs.length})
+          </button>
+          <button onClick={() => setTab('timeline')} className={tabClass('timeline')} title="Waterfall of this run's API calls">
+            Timeline
+          </button>
+          <button
+            onClick={() => setTab('contract')}
+            className={`${tabClass('contract')} ${contractViolations.length > 0 && tab !== 'contract' ? 'text-yellow-600' : ''}`}
+            title="Eveve response schema violations"
+          >
+            Contract ({contractViolations.length})
+          </button>
+          <button onClick={() => setTab('history')} className={tabClass('history')} title="Archived runs">
+            History
+          </button>
+        </div>
         
+        {tab === 'log' && (
         <div className="flex space-x-2">
           {/* Filter dropdown */}
           <select
@@ -110,9 +242,37 @@ const LogDisplay = () => {
             <option value="info">Info</option>
           </select>
           
+          {/* Show secrets and guest data on screen (never affects copies or exports) */}
+          <label
+            className={`flex items-center text-sm px-2 rounded ${reveal ? 'bg-red-50 text-red-700' : 'text-gray-700'}`}
+            title="Show client secrets and guest details unmasked in this panel"
+          >
+            <input
+              type="checkbox"
+              checked={reveal}
+              onChange={(e) => setReveal(e.target.checked)}
+              className="mr-1"
+            />
+            Reveal
+          </label>
+          
+          {/* Redaction for Copy, cURL and Export */}
+          <select
+            value={exportLevel}
+            onChange={(e) => setExportLevel(e.target.value)}
+            className={`form-input text-sm py-1 px-2 ${exportLevel === 'reveal' ? 'border-red-400 text-red-700' : ''}`}
+            title="Redaction applied to copied and exported logs"
+          >
+            <option value="strict">Share: strict</option>
+            <option value="display">Share: masked</option>
+            <option value="reveal">Share: unredacted</option>
+          </select>
+          
+          {!viewingRun && (
+          <>
           {/* Export button */}
           <button
-            onClick={exportLogs}
+            onClick={() => exportLogs(exportLevel)}
             className="form-button py-1 px-2 text-sm bg-gray-100 text-gray-800 hover:bg-gray-200"
             title="Export logs as JSON"
             disabled={logs.length === 0}
@@ -120,6 +280,50 @@ const LogDisplay = () => {
             Export
           </button>
           
+          {/* HAR export: redacted at the Share level, or raw for replay */}
+          <button
+            onClick={() => har.downloadHar('', exportLevel)}
+            className="form-button py-1 px-2 text-sm bg-gray-100 text-gray-800 hover:bg-gray-200"
+            title="Save this run as a HAR 1.2 file, redacted with the Share setting"
+            disabled={logs.length === 0}
+          >
+            Save HAR
+          </button>
+          <button
+            onClick={() => har.downloadHar('', 'reveal')}
+            className="form-button py-1 px-2 text-sm bg-red-50 text-red-800 hover:bg-red-100"
+            title="Save this run as an unredacted HAR with client secrets and guest details, as Replay HAR needs. Do not share it outside the team"
+            disabled={logs.length === 0}
+          >
+            Save HAR: raw (replayable)
+          </button>
+          
+          {/* HAR replay */}
+          <input
+            ref={harInputRef}
+            type="file"
+            accept=".har,application/json"
+            onChange={handleHarFile}
+            className="hidden"
+          />
+          {settings.replay ? (
+            <button
+              onClick={stopReplay}
+              className="form-button py-1 px-2 text-sm bg-purple-100 text-purple-800 hover:bg-purple-200"
+              title="Stop replaying and use the network again"
+            >
+              Stop Replay
+            </button>
+          ) : (
+            <button
+              onClick={() => harInputRef.current?.click()}
+              className="form-button py-1 px-2 text-sm bg-gray-100 text-gray-800 hover:bg-gray-200"
+              title="Replay a saved HAR file instead of calling the network"
+            >
+              Replay HAR
+            </button>
+          )}
+          
           {/* Clear button */}
           <button
             onClick={clearLogs}
@@ -129,11 +333,44 @@ const LogDisplay = () => {
           >
             Clear
           </button>
+          </>
+          )}
         </div>
+        )}
       </div>
       
+      {/* Archived run banner */}
+      {(tab === 'log' || tab === 'timeline') && viewingRun && (
+        <div className="mb-3 p-2 bg-blue-50 text-sm text-blue-800 rounded flex justify-between items-center">
+          <span>
+            Viewing archived run: {new Date(viewingRun.savedAt).toLocaleString()}
+            {viewingRun.est ? ` · ${viewingRun.est}` : ''}
+            {viewingRun.uid ? ` · UID ${viewingRun.uid}` : ''}
+          </span>
+          <button onClick={closeRun} className="text-blue-900 hover:text-blue-700 font-semibold">
+            Back to live log
+          </button>
+        </div>
+      )}
+      
+      {/* Waterfall of the shown run – archived runs cannot jump to the live log */}
+      {tab === 'timeline' && (
+        <RunTimeline
+          logs={logs}
+          transitions={viewingRun ? viewingRun.flowTransitions || [] : flowTransitions}
+          holdExpiry={viewingRun ? viewingRun.holdExpiry : holdExpiry}
+          onSelectCall={viewingRun ? undefined : setLogFocus}
+        />
+      )}
+      
+      {/* Contract violations */}
+      {tab === 'contract' && <ContractPanel />}
+      
+      {/* Run history */}
+      {tab === 'history' && <RunHistory onOpenRun={openRun} exportLevel={exportLevel} />}
+      
       {/* Empty state */}
-      {filteredLogs.length === 0 && (
+      {tab === 'log' && filteredLogs.length === 0 && (
         <div className="text-center py-8 text-gray-500">
           <svg className="w-12 h-12 mx-auto text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -144,16 +381,20 @@ const LogDisplay = () => {
       )}
       
       {/* Log entries */}
+      {tab === 'log' && (
       <div className="space-y-3">
         {filteredLogs.map((log, index) => {
           const isExpanded = expandedLogs[index] || false;
           const logKey = filteredLogs.length - 1 - index; // Reverse order
-          const actualLog = logs[logKey];
+          const actualLog = displayLogs[logKey];
+          // Rendered from the redacted copy; Copy / cURL redact the original at exportLevel
+          const shownLog = shownLogs[logKey];
           
           return (
             <div 
               key={`log-${logKey}`} 
-              className={`${getLogStatusClass(actualLog.status)} rounded-md overflow-hidden`}
+              id={`log-entry-${logKey}`}
+              className={`${getLogStatusClass(shownLog.status)} rounded-md overflow-hidden`}
             >
               {/* Log header */}
               <div 
@@ -161,15 +402,25 @@ const LogDisplay = () => {
                 onClick={() => toggleExpand(index)}
               >
                 <div className="flex items-center space-x-2">
-                  {getStatusIcon(actualLog.status)}
+                  {getStatusIcon(shownLog.status)}
                   
                   <div>
-                    <span className="font-medium">{actualLog.label}</span>
-                    {actualLog.message && (
-                      <span className="ml-2 text-sm">{actualLog.message}</span>
+                    <span className="font-medium">{shownLog.label}</span>
+                    {shownLog.message && (
+                      <span className="ml-2 text-sm">{shownLog.message}</span>
+                    )}
+                    {shownLog.violations?.length > 0 && (
+                      <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-800">
+                        {shownLog.violations.length} contract {shownLog.violations.length === 1 ? 'issue' : 'issues'}
+                      </span>
+                    )}
+                    {shownLog.attempts?.length > 1 && (
+                      <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-800">
+                        {shownLog.attempts.length} attempts
+                      </span>
                     )}
                     <span className="ml-2 text-xs text-gray-500">
-                      {formatTimestamp(actualLog.timestamp)}
+                      {formatTimestamp(shownLog.timestamp)}
                     </span>
                   </div>
                 </div>
@@ -188,7 +439,7 @@ const LogDisplay = () => {
                   </button>
                   
                   {/* cURL button (only for API requests) */}
-                  {actualLog.request && actualLog.request.url && (
+                  {shownLog.request && shownLog.request.url && (
                     <button
                       onClick={(e) => {
                         e.stopPropagation();
@@ -216,35 +467,65 @@ const LogDisplay = () => {
               {/* Expanded content */}
               {isExpanded && (
                 <div className="p-3 bg-white">
+                  {/* Retry attempts */}
+                  {shownLog.attempts?.length > 1 && (
+                    <div className="mb-3">
+                      <h4 className="text-sm font-medium text-gray-700 mb-1">Attempts</h4>
+                      <ol className="text-xs font-mono space-y-1">
+                        {shownLog.attempts.map((attempt) => (
+                          <li key={`attempt-${attempt.attempt}`} className={`${getLogStatusClass(attempt.status)} py-1`}>
+                            #{attempt.attempt} {formatTimestamp(attempt.timestamp)} · {attempt.request?.duration}
+                            {attempt.error && ` · ${attempt.error.status || attempt.error.code || ''} ${attempt.error.message}`}
+                            {attempt.request?.retryInMs !== undefined && ` · retried after ${attempt.request.retryInMs}ms`}
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
+                  
                   {/* Request details */}
-                  {actualLog.request && (
+                  {shownLog.request && (
                     <div className="mb-3">
                       <h4 className="text-sm font-medium text-gray-700 mb-1">Request</h4>
-                      <JsonViewer data={actualLog.request} initialCollapsed={true} />
+                      <JsonViewer data={shownLog.request} initialCollapsed={true} />
                     </div>
                   )}
                   
                   {/* Response data */}
-                  {actualLog.response && (
+                  {shownLog.response && (
                     <div className="mb-3">
                       <h4 className="text-sm font-medium text-gray-700 mb-1">Response</h4>
-                      <JsonViewer data={actualLog.response} initialCollapsed={true} />
+                      <JsonViewer data={shownLog.response} initialCollapsed={true} />
+                    </div>
+                  )}
+                  
+                  {/* Schema violations */}
+                  {shownLog.violations?.length > 0 && (
+                    <div className="mb-3">
+                      <h4 className="text-sm font-medium text-yellow-700 mb-1">Contract Violations</h4>
+                      <ul className="text-xs space-y-0.5">
+                        {shownLog.violations.map((violation, vIndex) => (
+                          <li key={`violation-${vIndex}`}>
+                            <span className="font-mono">{violation.field}</span> ({violation.kind}): {violation.message}
+                          </li>
+                        ))}
+                      </ul>
                     </div>
                   )}
                   
                   {/* Error details */}
-                  {actualLog.error && (
+                  {shownLog.error && (
                     <div>
                       <h4 className="text-sm font-medium text-red-600 mb-1">Error</h4>
-                      <JsonViewer data={actualLog.error} initialCollapsed={true} />
+                      <JsonViewer data={shownLog.error} initialCollapsed={true} />
                     </div>
                   )}
                   
                   {/* Additional data for info logs */}
-                  {actualLog.data && (
+                  {shownLog.data && (
                     <div>
                       <h4 className="text-sm font-medium text-gray-700 mb-1">Data</h4>
-                      <JsonViewer data={actualLog.data} initialCollapsed={true} />
+                      <JsonViewer data={shownLog.data} initialCollapsed={true} />
                     </div>
                   )}
                 </div>
@@ -253,6 +534,7 @@ const LogDisplay = () => {
           );
         })}
       </div>
+      )}
       
       {/* Auto-scroll anchor */}
       <div ref={logEndRef} />
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+
+/**
+ * Fake card input used in Stripe mock mode.
+ * Mirrors CardElement's onChange contract ({ complete, error }) and also
+ * passes the entered card so the mock client can pick an outcome from it.
+ */
+const MockCardElement = ({ onChange, disabled = false }) => {
+  const [card, setCard] = useState({
+    number: '',
+    expiry: '',
+    cvc: '',
+  });
+
+  // Validate the fake card and report it in CardElement's shape
+  const report = (next) => {
+    const digits = next.number.replace(/\D/g, '');
+    const expiryMatch = /^(\d{2})\s*\/\s*(\d{2})$/.exec(next.expiry.trim());
+    let error = null;
+
+    if (digits.length > 0 && (digits.length < 13 || digits.length > 19)) {
+      error = { message: 'Your card number is incomplete.' };
+    } else if (next.expiry && !expiryMatch) {
+      error = { message: "Your card's expiration date is incomplete." };
+    } else if (next.cvc && !/^\d{3,4}$/.test(next.cvc)) {
+      error = { message: "Your card's security code is incomplete." };
+    }
+
+    const complete = !error && digits.length >= 13 && !!expiryMatch && /^\d{3,4}$/.test(next.cvc);
+
+    onChange({
+      complete,
+      error,
+      card: complete
+        ? {
+          number: digits,
+          expMonth: parseInt(expiryMatch[1], 10),
+          expYear: 2000 + parseInt(expiryMatch[2], 10),
+          cvc: next.cvc,
+        }
+        : null,
+    });
+  };
+
+  const handleChange = (e) => {
+    const next = { ...card, [e.target.name]: e.target.value };
+    setCard(next);
+    report(next);
+  };
+
+  return (
+    <div className="flex space-x-2" data-testid="mock-card-element">
+      <input
+        name="number"
+        type="text"
+        inputMode="numeric"
+        value={card.number}
+        onChange={handleChange}
+        className="flex-1 min-w-0 outline-none text-base"
+        placeholder="4242 4242 4242 4242"
+        disabled={disabled}
+        aria-label="Mock card number"
+      />
+      <input
+        name="expiry"
+        type="text"
+        value={card.expiry}
+        onChange={handleChange}
+        className="w-16 outline-none text-base"
+        placeholder="MM/YY"
+        disabled={disabled}
+        aria-label="Mock card expiry"
+      />
+      <input
+        name="cvc"
+        type="text"
+        inputMode="numeric"
+        value={card.cvc}
+        onChange={handleChange}
+        className="w-12 outline-none text-base"
+        placeholder="CVC"
+        disabled={disabled}
+        aria-label="Mock card CVC"
+      />
+    </div>
+  );
+};
+
+export default MockCardElement;
@@ -0,0 +1,215 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as runHistory from '../context/runHistory';
+import { formatMoney } from '../api/money';
+
+// Badge colours per outcome
+const outcomeClasses = {
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  abandoned: 'bg-gray-100 text-gray-700',
+};
+
+// Local YYYY-MM-DD for a timestamp, to compare with date inputs
+const toDateInput = (ms) => {
+  const date = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+/**
+ * Browsable list of archived runs from IndexedDB
+ * @param {Function} onOpenRun - Called with a run record to show its logs
+ * @param {string} exportLevel - Redaction level for exported runs
+ */
+const RunHistory = ({ onOpenRun, exportLevel = 'strict' }) => {
+  const [runs, setRuns] = useState([]);
+  const [loadError, setLoadError] = useState('');
+  const [selected, setSelected] = useState({});
+  const [filters, setFilters] = useState({ est: 'all', outcome: 'all', from: '', to: '' });
+
+  const loadRuns = useCallback(async () => {
+    try {
+      setRuns(await runHistory.listRuns());
+      setLoadError('');
+    } catch (error) {
+      setLoadError(`Unable to read run history: ${error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const establishments = [...new Set(runs.map(run => run.est).filter(Boolean))].sort();
+
+  const filteredRuns = runs.filter((run) => {
+    const day = toDateInput(run.savedAt);
+    if (filters.est !== 'all' && run.est !== filters.est) return false;
+    if (filters.outcome !== 'all' && run.outcome !== filters.outcome) return false;
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+    return true;
+  });
+
+  const selectedRuns = filteredRuns.filter(run => selected[run.id]);
+  const allSelected = filteredRuns.length > 0 && selectedRuns.length === filteredRuns.length;
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const toggleAll = () => {
+    setSelected(allSelected ? {} : Object.fromEntries(filteredRuns.map(run => [run.id, true])));
+  };
+
+  const deleteSelected = async () => {
+    if (!window.confirm(`Delete ${selectedRuns.length} run(s) from history?`)) return;
+    try {
+      await runHistory.deleteRuns(selectedRuns.map(run => run.id));
+      setSelected({});
+      await loadRuns();
+    } catch (error) {
+      setLoadError(`Unable to delete runs: ${error.message}`);
+    }
+  };
+
+  return (
+    <div>
+      {/* Filters and bulk actions */}
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <select
+          value={filters.est}
+          onChange={(e) => setFilter('est', e.target.value)}
+          className="form-input text-sm py-1 px-2 w-auto"
+        >
+          <option value="all">All establishments</option>
+          {establishments.map(est => (
+            <option key={est} value={est}>{est}</option>
+          ))}
+        </select>
+        <select
+          value={filters.outcome}
+          onChange={(e) => setFilter('outcome', e.target.value)}
+          className="form-input text-sm py-1 px-2 w-auto"
+        >
+          <option value="all">All outcomes</option>
+          {Object.entries(runHistory.RUN_OUTCOMES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => setFilter('from', e.target.value)}
+          className="form-input text-sm py-1 px-2 w-auto"
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => setFilter('to', e.target.value)}
+          className="form-input text-sm py-1 px-2 w-auto"
+          aria-label="To date"
+        />
+
+        <div className="ml-auto flex space-x-2">
+          <button
+            onClick={loadRuns}
+            className="form-button py-1 px-2 text-sm bg-gray-100 text-gray-800 hover:bg-gray-200"
+          >
+            Refresh
+          </button>
+          <button
+            onClick={() => runHistory.exportRuns(selectedRuns, exportLevel)}
+            className="form-button py-1 px-2 text-sm bg-gray-100 text-gray-800 hover:bg-gray-200"
+            disabled={selectedRuns.length === 0}
+          >
+            Export ({selectedRuns.length})
+          </button>
+          <button
+            onClick={deleteSelected}
+            className="form-button py-1 px-2 text-sm bg-red-100 text-red-800 hover:bg-red-200"
+            disabled={selectedRuns.length === 0}
+          >
+            Delete ({selectedRuns.length})
+          </button>
+        </div>
+      </div>
+
+      {loadError && (
+        <p className="mb-2 text-sm text-red-600">{loadError}</p>
+      )}
+
+      {filteredRuns.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <p className="mt-2">No archived runs</p>
+          <p className="text-sm">Runs are saved here when they complete, fail or are reset</p>
+        </div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-1 pr-2">
+                <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all runs" />
+              </th>
+              <th className="py-1 pr-2 font-medium">When</th>
+              <th className="py-1 pr-2 font-medium">Establishment</th>
+              <th className="py-1 pr-2 font-medium">UID</th>
+              <th className="py-1 pr-2 font-medium">Payment</th>
+              <th className="py-1 pr-2 font-medium">Outcome</th>
+              <th className="py-1 pr-2 font-medium">Duration</th>
+              <th className="py-1 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {filteredRuns.map(run => (
+              <tr key={run.id} className="border-b border-gray-100 align-top">
+                <td className="py-1 pr-2">
+                  <input
+                    type="checkbox"
+                    checked={!!selected[run.id]}
+                    onChange={() => setSelected(prev => ({ ...prev, [run.id]: !prev[run.id] }))}
+                    aria-label={`Select run ${run.id}`}
+                  />
+                </td>
+                <td className="py-1 pr-2 whitespace-nowrap">{new Date(run.savedAt).toLocaleString()}</td>
+                <td className="py-1 pr-2">
+                  {run.est || '–'}
+                  {run.holdParams && (
+                    <span className="block text-xs text-gray-500">
+                      {run.holdParams.covers} covers · {run.holdParams.date} · {run.holdParams.time}
+                    </span>
+                  )}
+                </td>
+                <td className="py-1 pr-2 font-mono">{run.uid || '–'}</td>
+                <td className="py-1 pr-2">
+                  {run.paymentType || 'none'}
+                  {run.amount ? ` · ${formatMoney(run.amount, run.currency)}` : ''}
+                </td>
+                <td className="py-1 pr-2">
+                  <span
+                    className={`px-1.5 py-0.5 rounded text-xs ${outcomeClasses[run.outcome] || 'bg-gray-100'}`}
+                    title={run.error || ''}
+                  >
+                    {runHistory.RUN_OUTCOMES[run.outcome] || run.outcome}
+                  </span>
+                </td>
+                <td className="py-1 pr-2 whitespace-nowrap">{formatDuration(run.durationMs)}</td>
+                <td className="py-1">
+                  <button
+                    onClick={() => onOpenRun(run)}
+                    className="text-blue-600 hover:text-blue-800 text-xs"
+                  >
+                    Open logs
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default RunHistory;
@@ -0,0 +1,239 @@
+import { useMemo } from 'react';
+import { FLOW_STATES } from '../context/FlowContext';
+import { buildTimeline, THINK_TIME_THRESHOLD_MS } from '../api/timeline';
+
+// Bar colours per log status
+const statusClasses = {
+  success: 'bg-green-500',
+  error: 'bg-red-500',
+  retry: 'bg-yellow-400',
+};
+
+// Band colours per flow state
+const flowStateClasses = {
+  [FLOW_STATES.IDLE]: 'bg-gray-100 text-gray-600',
+  [FLOW_STATES.HOLDING]: 'bg-blue-100 text-blue-800',
+  [FLOW_STATES.AWAITING_STRIPE]: 'bg-indigo-100 text-indigo-800',
+  [FLOW_STATES.ENTERING_CARD]: 'bg-purple-100 text-purple-800',
+  [FLOW_STATES.CARD_CONFIRMED]: 'bg-teal-100 text-teal-800',
+  [FLOW_STATES.COLLECTING_USER]: 'bg-orange-100 text-orange-800',
+  [FLOW_STATES.COMPLETED]: 'bg-green-100 text-green-800',
+  [FLOW_STATES.ERROR]: 'bg-red-100 text-red-800',
+};
+
+// Gap colours: think time is the guest, client time is the app between calls
+const gapClasses = {
+  think: 'bg-amber-300',
+  client: 'bg-gray-300',
+};
+
+// Tick spacings to choose from, so the axis gets at most about eight labels
+const TICK_STEPS = [100, 250, 500, 1000, 2000, 5000, 10000, 15000, 30000, 60000, 120000];
+
+const formatDuration = (ms) => (Math.abs(ms) < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+/**
+ * Waterfall of a run's Eveve and Stripe calls on one time axis, with the flow
+ * state changes, the gaps between calls and the hold window
+ * @param {Array} logs - Log entries of the run
+ * @param {Array} transitions - Flow state changes ([{ timestamp, from, to }])
+ * @param {number|null} holdExpiry - When the hold expires (ms)
+ * @param {Function} onSelectCall - Called with a log entry id when a call is clicked (optional)
+ */
+const RunTimeline = ({ logs, transitions = [], holdExpiry = null, onSelectCall }) => {
+  const timeline = useMemo(
+    () => buildTimeline(logs, { transitions, holdExpiry }),
+    [logs, transitions, holdExpiry]
+  );
+
+  if (timeline.calls.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500">
+        <p className="mt-2">No API calls to plot</p>
+        <p className="text-sm">Timed Eveve and Stripe calls appear here once a run starts</p>
+      </div>
+    );
+  }
+
+  const { calls, gaps, totals, hold } = timeline;
+
+  // The axis covers the calls, the flow state changes and the end of the hold window
+  const axisStart = Math.min(timeline.start, ...timeline.transitions.map(transition => transition.at));
+  const axisEnd = Math.max(
+    timeline.end,
+    hold ? hold.expiry : timeline.end,
+    ...timeline.transitions.map(transition => transition.at)
+  );
+  const span = Math.max(axisEnd - axisStart, 1);
+  const position = (time) => `${((time - axisStart) / span) * 100}%`;
+  const width = (from, to) => `${(Math.max(to - from, 0) / span) * 100}%`;
+
+  const tickStep = TICK_STEPS.find(step => span / step <= 8) || TICK_STEPS[TICK_STEPS.length - 1];
+  const ticks = Array.from({ length: Math.floor(span / tickStep) + 1 }, (_, index) => index * tickStep);
+
+  // Flow state bands: each state lasts until the next change (the last one until the axis ends)
+  const bands = timeline.transitions.map((transition, index) => ({
+    state: transition.to,
+    start: transition.at,
+    end: timeline.transitions[index + 1]?.at ?? axisEnd,
+  }));
+
+  // Vertical lines for the flow state changes and the hold expiry, repeated in every track
+  const markers = (
+    <>
+      {timeline.transitions.map((transition, index) => (
+        <div
+          key={`transition-${index}`}
+          className="absolute top-0 bottom-0 border-l border-dashed border-gray-400"
+          style={{ left: position(transition.at) }}
+        />
+      ))}
+      {hold && (
+        <div className="absolute top-0 bottom-0 border-l-2 border-red-500" style={{ left: position(hold.expiry) }} />
+      )}
+    </>
+  );
+
+  const row = (label, track, title) => (
+    <div className="flex items-center h-6">
+      <div className="w-44 pr-2 text-xs truncate" title={title}>{label}</div>
+      <div className="relative flex-1 h-full">{track}</div>
+    </div>
+  );
+
+  return (
+    <div>
+      {/* Where the time went */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mb-3 text-sm text-gray-700">
+        <span>Total: <strong>{formatDuration(timeline.end - timeline.start)}</strong></span>
+        <span>Network: <strong>{formatDuration(totals.network)}</strong></span>
+        <span title={`Gaps of ${formatDuration(THINK_TIME_THRESHOLD_MS)} or more between calls`}>
+          Think time: <strong>{formatDuration(totals.think)}</strong>
+        </span>
+        <span title={`Gaps under ${formatDuration(THINK_TIME_THRESHOLD_MS)} between calls`}>
+          Client: <strong>{formatDuration(totals.client)}</strong>
+        </span>
+      </div>
+
+      {hold && (
+        <div className={`mb-3 p-2 text-sm rounded ${hold.remaining < 0 ? 'bg-red-50 text-red-800' : 'bg-blue-50 text-blue-800'}`}>
+          Hold window {formatDuration(hold.expiry - hold.start)}: network {formatDuration(hold.network)},
+          think time {formatDuration(hold.think)}, client {formatDuration(hold.client)}
+          {' · '}
+          {hold.remaining < 0
+            ? `expired ${formatDuration(-hold.remaining)} before the last call finished`
+            : `${formatDuration(hold.remaining)} left after the last call`}
+        </div>
+      )}
+
+      {/* Axis */}
+      {row('', (
+        <>
+          {ticks.map(tick => (
+            <span
+              key={`tick-${tick}`}
+              className="absolute top-0 text-xs text-gray-400 border-l border-gray-200 pl-0.5"
+              style={{ left: position(axisStart + tick) }}
+            >
+              {formatDuration(tick)}
+            </span>
+          ))}
+        </>
+      ))}
+
+      {/* Flow states */}
+      {row('Flow state', (
+        <>
+          {bands.map((band, index) => (
+            <div
+              key={`band-${index}`}
+              className={`absolute top-0.5 bottom-0.5 text-xs px-0.5 overflow-hidden whitespace-nowrap ${flowStateClasses[band.state] || 'bg-gray-100'}`}
+              style={{ left: position(band.start), width: width(band.start, band.end) }}
+              title={`${band.state}: ${formatDuration(band.end - band.start)}`}
+            >
+              {band.state}
+            </div>
+          ))}
+          {markers}
+        </>
+      ))}
+
+      {/* Hold window, network and gaps */}
+      {row('Network / gaps', (
+        <>
+          {hold && (
+            <div
+              className="absolute top-0 bottom-0 bg-blue-50"
+              style={{ left: position(hold.start), width: width(hold.start, hold.expiry) }}
+              title="Hold window"
+            />
+          )}
+          {calls.map(call => (
+            <div
+              key={`busy-${call.id}`}
+              className="absolute top-1.5 bottom-1.5 bg-blue-400"
+              style={{ left: position(call.start), width: width(call.start, call.end) }}
+            />
+          ))}
+          {gaps.map((gap, index) => (
+            <div
+              key={`gap-${index}`}
+              className={`absolute top-1.5 bottom-1.5 ${gapClasses[gap.kind]}`}
+              style={{ left: position(gap.start), width: width(gap.start, gap.end) }}
+              title={`${gap.kind === 'think' ? 'Think time' : 'Client'}: ${formatDuration(gap.duration)}`}
+            />
+          ))}
+          {markers}
+        </>
+      ))}
+
+      {/* One row per call */}
+      {calls.map(call => (
+        <div key={`call-${call.id}`}>
+          {row(
+            <span>
+              <span className={`inline-block w-10 mr-1 text-center rounded ${call.source === 'stripe' ? 'bg-purple-100 text-purple-800' : 'bg-gray-100 text-gray-700'}`}>
+                {call.source}
+              </span>
+              <span className="font-mono">{call.name}</span>
+            </span>,
+            (
+              <>
+                {markers}
+                <button
+                  type="button"
+                  onClick={onSelectCall ? () => onSelectCall(call.id) : undefined}
+                  disabled={!onSelectCall}
+                  className={`absolute top-1 bottom-1 min-w-[2px] rounded-sm ${statusClasses[call.status] || 'bg-gray-400'}`}
+                  style={{ left: position(call.start), width: width(call.start, call.end) }}
+                  title={`${call.label} · ${formatDuration(call.duration)}${onSelectCall ? ' · click to open in the log' : ''}`}
+                />
+                <span
+                  className="absolute top-0.5 text-xs text-gray-500 pl-1 whitespace-nowrap"
+                  style={{ left: position(call.end) }}
+                >
+                  {formatDuration(call.duration)}
+                </span>
+              </>
+            ),
+            call.label
+          )}
+        </div>
+      ))}
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-3 text-xs text-gray-600">
+        <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-green-500" />Success</span>
+        <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-red-500" />Error</span>
+        <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-yellow-400" />Retried</span>
+        <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-blue-400" />Network</span>
+        <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-amber-300" />Think time</span>
+        <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-gray-300" />Client</span>
+        <span><span className="inline-block w-3 h-3 mr-1 align-middle border-l border-dashed border-gray-400" />Flow state change</span>
+        {hold && <span><span className="inline-block w-3 h-3 mr-1 align-middle border-l-2 border-red-500" />Hold expiry</span>}
+      </div>
+    </div>
+  );
+};
+
+export default RunTimeline;
@@ -0,0 +1,341 @@
+import { useState, useRef, useEffect, useCallback, Fragment } from 'react';
+import { useFlow, FLOW_STATES } from '../context/FlowContext';
+import useLogger from '../hooks/useLogger';
+import { SAMPLE_URLS } from '../api/holdRequest';
+import { TEST_PAYMENT_METHODS } from '../api/mockStripe';
+import { SCENARIO_STEPS, parseScenarioList, runScenario } from '../api/scenarioRunner';
+import { evaluateExpectations } from '../api/expectations';
+import { isCancellation } from '../api/run';
+import { loadScenarios, saveScenarios } from '../context/scenarioStore';
+import * as har from '../api/har';
+
+// Cell colours per step status
+const stepClasses = {
+  passed: 'bg-green-50 text-green-800',
+  failed: 'bg-red-50 text-red-800',
+  skipped: 'text-gray-400',
+  notRun: 'text-gray-300',
+};
+
+/**
+ * Runs sample (or user-defined) HOLD URLs through the whole flow unattended
+ * and shows a pass/fail table; clicking a row jumps to that scenario's log
+ */
+const ScenarioRunner = () => {
+  const {
+    flowState,
+    booking,
+    stripe,
+    logs,
+    resetState,
+    resetBooking,
+    setLogFocus,
+    setFlowState,
+    setBooking,
+    setStripeKeys,
+    setPaymentType,
+    setPaymentMethod: setFlowPaymentMethod,
+    setCustomerDetails,
+    setError
+  } = useFlow();
+  const { logInfo, logSuccess, logError } = useLogger();
+
+  const [expanded, setExpanded] = useState(false);
+  // Custom scenarios are restored from sessionStorage so a reload keeps them
+  const [source, setSource] = useState(() => loadScenarios()?.source || 'samples'); // 'samples' or 'custom'
+  const [customList, setCustomList] = useState(() => loadScenarios()?.customList || '');
+  const [paymentMethod, setPaymentMethod] = useState('pm_card_visa');
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const stopRef = useRef(false);
+  // Scenario waiting for its expectations: { expect, startLogId, endLogId, resolve }
+  const pendingCheckRef = useRef(null);
+
+  const flowActive = flowState !== FLOW_STATES.IDLE &&
+                     flowState !== FLOW_STATES.COMPLETED &&
+                     flowState !== FLOW_STATES.ERROR;
+
+  useEffect(() => {
+    saveScenarios({ source, customList });
+  }, [source, customList]);
+
+  const updateResult = useCallback((index, patch) => {
+    setResults(prev => prev.map((result, i) => (i === index ? { ...result, ...patch } : result)));
+  }, []);
+  
+  // Check a finished scenario's expectations against the FlowContext state it ended in,
+  // once its closing log entry is in context (every state change of the run is then too)
+  useEffect(() => {
+    const pending = pendingCheckRef.current;
+    if (!pending) return;
+    
+    const start = logs.findIndex(log => log.id === pending.startLogId);
+    const end = logs.findIndex(log => log.id === pending.endLogId);
+    // The log was cleared (Reset) – nothing left to check against
+    if (start === -1) {
+      pendingCheckRef.current = null;
+      pending.resolve(null);
+      return;
+    }
+    if (end === -1) return;
+    
+    pendingCheckRef.current = null;
+    pending.resolve(evaluateExpectations(pending.expect, { booking, stripe, flowState, logs: logs.slice(start, end + 1) }));
+  }, [booking, stripe, flowState, logs]);
+  
+  // Resolves with the expectation results for a finished scenario (null when Reset cleared the log)
+  const checkExpectations = (expect, startLogId, endLogId) => new Promise((resolve) => {
+    pendingCheckRef.current = { expect, startLogId, endLogId, resolve };
+  });
+
+  const runAll = async () => {
+    const scenarios = source === 'samples' ? SAMPLE_URLS : parseScenarioList(customList);
+    if (scenarios.length === 0) return;
+
+    // Start from a clean run so the log only holds the runner's calls
+    resetState();
+    har.clearRecording();
+    har.rewindReplay();
+
+    stopRef.current = false;
+    setRunning(true);
+    setResults(scenarios.map(scenario => ({ ...scenario, status: 'pending', steps: [] })));
+
+    // FlowContext actions the scenario steps store their results with, as the form does
+    const flow = {
+      setFlowState,
+      setBooking,
+      setStripeKeys,
+      setPaymentType,
+      setPaymentMethod: setFlowPaymentMethod,
+      setCustomerDetails,
+      setError
+    };
+
+    for (let index = 0; index < scenarios.length; index++) {
+      if (stopRef.current) break;
+
+      // Every scenario is a run of its own, starting from an empty booking
+      if (index > 0) resetBooking();
+
+      const scenario = scenarios[index];
+      const logId = logInfo(`Scenario ${index + 1}/${scenarios.length}: ${scenario.label}`, {
+        url: scenario.url,
+        paymentMethod,
+      });
+      updateResult(index, { status: 'running', logId, startLogId: logId });
+
+      try {
+        const result = await runScenario(scenario, {
+          flow,
+          paymentMethod,
+          onStep: steps => updateResult(index, { steps }),
+        });
+
+        const endLogId = result.passed
+          ? logSuccess(`Scenario passed: ${scenario.label}`, { totalMs: result.totalMs, uid: result.uid })
+          : logError(`Scenario failed: ${scenario.label}`, { message: result.error, uid: result.uid });
+
+        updateResult(index, {
+          ...result,
+          status: scenario.expect ? 'checking' : result.passed ? 'passed' : 'failed',
+          // Failed rows jump to the failure, passed rows to the start of the scenario
+          logId: result.passed ? logId : endLogId,
+        });
+
+        // Every step has to pass and every expectation has to match
+        if (scenario.expect) {
+          const expectations = await checkExpectations(scenario.expect, logId, endLogId);
+          if (!expectations) {
+            updateResult(index, { status: 'cancelled' });
+            break;
+          }
+          const expectationsPassed = expectations.every(expectation => expectation.passed);
+          updateResult(index, {
+            expectations,
+            status: result.passed && expectationsPassed ? 'passed' : 'failed'
+          });
+        }
+      } catch (error) {
+        // Reset while running cancels the remaining scenarios
+        if (isCancellation(error)) {
+          updateResult(index, { status: 'cancelled' });
+          break;
+        }
+        updateResult(index, { status: 'failed', error: error.message });
+      }
+    }
+
+    setRunning(false);
+  };
+
+  const passedCount = results.filter(result => result.status === 'passed').length;
+  const finishedCount = results.filter(result => result.status === 'passed' || result.status === 'failed').length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-4">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex justify-between items-center text-left"
+      >
+        <h2 className="text-xl font-semibold text-stripe-dark">Scenario Runner</h2>
+        <span className="text-sm text-gray-500">
+          {results.length > 0 && `${passedCount}/${finishedCount} passed · `}
+          {expanded ? 'Hide' : 'Show'}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="mt-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="runner-source" className="form-label">Scenarios</label>
+              <select
+                id="runner-source"
+                value={source}
+                onChange={(e) => setSource(e.target.value)}
+                className="form-input"
+                disabled={running}
+              >
+                <option value="samples">Sample URLs ({SAMPLE_URLS.length})</option>
+                <option value="custom">Custom list</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="runner-card" className="form-label">Test card</label>
+              <select
+                id="runner-card"
+                value={paymentMethod}
+                onChange={(e) => setPaymentMethod(e.target.value)}
+                className="form-input"
+                disabled={running}
+              >
+                {Object.entries(TEST_PAYMENT_METHODS).map(([id, card]) => (
+                  <option key={id} value={id}>{card.label} ({id})</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {source === 'custom' && (
+            <div>
+              <label htmlFor="runner-list" className="form-label">
+                HOLD URLs – one per line, optionally <code>label | url | card=2 depositTotal=30000 …</code>
+              </label>
+              <textarea
+                id="runner-list"
+                value={customList}
+                onChange={(e) => setCustomList(e.target.value)}
+                rows={4}
+                className="form-input font-mono text-xs"
+                placeholder="Deposit 10 covers | https://nz.eveve.com/web/hold?est=TestNZA&covers=10&date=2025-08-01&time=20"
+                disabled={running}
+              />
+            </div>
+          )}
+
+          <div className="flex space-x-2">
+            <button
+              onClick={runAll}
+              className="form-button"
+              disabled={running || flowActive}
+              title={flowActive ? 'Finish or reset the booking in progress first' : ''}
+            >
+              {running ? 'Running...' : 'Run Scenarios'}
+            </button>
+            {running && (
+              <button
+                onClick={() => { stopRef.current = true; }}
+                className="form-button bg-gray-200 text-gray-800 hover:bg-gray-300"
+              >
+                Stop after current
+              </button>
+            )}
+          </div>
+
+          {results.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-1 pr-2 font-medium">Scenario</th>
+                  <th className="py-1 pr-2 font-medium">Result</th>
+                  {SCENARIO_STEPS.map(({ key, label }) => (
+                    <th key={key} className="py-1 pr-2 font-medium">{label}</th>
+                  ))}
+                  <th className="py-1 pr-2 font-medium">Total</th>
+                  <th className="py-1 font-medium">Expect</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((result, index) => {
+                  const failedExpectations = (result.expectations || []).filter(expectation => !expectation.passed);
+                  return (
+                  <Fragment key={`scenario-${index}`}>
+                  <tr
+                    onClick={() => result.logId && setLogFocus(result.logId)}
+                    className={`border-b border-gray-100 align-top ${result.logId ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                    title={result.error || 'Show in log'}
+                  >
+                    <td className="py-1 pr-2">{result.label}</td>
+                    <td className="py-1 pr-2 font-medium">
+                      {result.status === 'passed' && <span className="text-green-700">Pass</span>}
+                      {result.status === 'failed' && <span className="text-red-700">Fail</span>}
+                      {result.status === 'running' && <span className="text-blue-700">Running</span>}
+                      {result.status === 'checking' && <span className="text-blue-700">Checking</span>}
+                      {result.status === 'cancelled' && <span className="text-gray-500">Cancelled</span>}
+                      {result.status === 'pending' && <span className="text-gray-400">Pending</span>}
+                    </td>
+                    {SCENARIO_STEPS.map(({ key }) => {
+                      const step = result.steps.find(s => s.key === key);
+                      const status = step?.status || 'notRun';
+                      return (
+                        <td
+                          key={key}
+                          className={`py-1 pr-2 text-xs whitespace-nowrap ${stepClasses[status]}`}
+                          title={step?.error || ''}
+                        >
+                          {step?.status === 'passed' || step?.status === 'failed' ? `${step.ms} ms` : step?.status === 'skipped' ? 'skip' : '–'}
+                        </td>
+                      );
+                    })}
+                    <td className="py-1 pr-2 text-xs whitespace-nowrap">
+                      {result.totalMs !== undefined ? `${result.totalMs} ms` : ''}
+                    </td>
+                    <td className="py-1 text-xs whitespace-nowrap">
+                      {result.expectations?.length > 0 && (
+                        <span className={failedExpectations.length ? 'text-red-700' : 'text-green-700'}>
+                          {result.expectations.length - failedExpectations.length}/{result.expectations.length}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                  
+                  {/* Failed expectations inline under the scenario */}
+                  {failedExpectations.length > 0 && (
+                    <tr className="border-b border-gray-100">
+                      <td colSpan={SCENARIO_STEPS.length + 4} className="pb-2 pl-4">
+                        <ul className="text-xs text-red-700 space-y-0.5">
+                          {failedExpectations.map(expectation => (
+                            <li key={expectation.key}>
+                              {expectation.label}: expected <code>{JSON.stringify(expectation.expected)}</code>,
+                              got <code>{JSON.stringify(expectation.actual)}</code>
+                              {expectation.error ? ` (${expectation.error})` : ''}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                  </Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioRunner;
@@ -0,0 +1,32 @@
+import { useEffect } from 'react';
+import { Elements, CardElement, useElements } from '@stripe/react-stripe-js';
+
+// Hands the Elements group up to the form so it can confirm with it
+const CardElementField = ({ options, onChange, onElements }) => {
+  const elements = useElements();
+
+  useEffect(() => {
+    onElements(elements);
+    return () => onElements(null);
+  }, [elements, onElements]);
+
+  return <CardElement id="card" options={options} onChange={onChange} />;
+};
+
+/**
+ * Stripe CardElement in its own Elements group. Elements cannot swap Stripe
+ * instances, so the parent keys this component by the instance key and the
+ * group is remounted when the publishable key or Connect account changes.
+ * @param {Stripe} stripe - Loaded Stripe.js instance
+ * @param {string} locale - Stripe Elements locale (e.g. 'fr')
+ * @param {Object} options - CardElement options
+ * @param {Function} onChange - CardElement change handler ({ complete, error })
+ * @param {Function} onElements - Called with the Elements group, and null on unmount
+ */
+const StripeCardElement = ({ stripe, locale, options, onChange, onElements }) => (
+  <Elements stripe={stripe} options={{ locale }}>
+    <CardElementField options={options} onChange={onChange} onElements={onElements} />
+  </Elements>
+);
+
+export default StripeCardElement;
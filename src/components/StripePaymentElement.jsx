@@ -0,0 +1,38 @@
+import { useEffect } from 'react';
+import { Elements, PaymentElement, useElements } from '@stripe/react-stripe-js';
+
+// Hands the Elements group up to the form so it can confirm with it
+const PaymentElementField = ({ onChange, onElements }) => {
+  const elements = useElements();
+
+  useEffect(() => {
+    onElements(elements);
+    return () => onElements(null);
+  }, [elements, onElements]);
+
+  return (
+    <PaymentElement
+      id="payment-element"
+      options={{ layout: 'tabs' }}
+      onChange={onChange}
+    />
+  );
+};
+
+/**
+ * Stripe PaymentElement in its own Elements group, initialised with the
+ * pi-get client secret. Elements cannot swap secrets, so the group is
+ * remounted whenever the secret changes (e.g. after a re-hold).
+ * @param {Stripe} stripe - Loaded Stripe.js instance
+ * @param {string} clientSecret - SetupIntent / PaymentIntent client secret
+ * @param {string} locale - Stripe Elements locale (e.g. 'fr')
+ * @param {Function} onChange - PaymentElement change handler ({ complete, ... })
+ * @param {Function} onElements - Called with the Elements group, and null on unmount
+ */
+const StripePaymentElement = ({ stripe, clientSecret, locale, onChange, onElements }) => (
+  <Elements key={clientSecret} stripe={stripe} options={{ clientSecret, locale }}>
+    <PaymentElementField onChange={onChange} onElements={onElements} />
+  </Elements>
+);
+
+export default StripePaymentElement;
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import { TEST_CARD_GROUPS, formatCardNumber, findTestCard } from '../api/testCards';
+
+/**
+ * Stripe test cards grouped by outcome, with one-click copy.
+ * The copied card is reported so the form can note it on the payment log entry.
+ * @param {Function} onSelect - Called with the copied card (see findTestCard)
+ */
+const TestCardPalette = ({ onSelect }) => {
+  const [copied, setCopied] = useState(null);
+  const [copyError, setCopyError] = useState('');
+
+  const copyCard = async (number) => {
+    onSelect(findTestCard(number));
+
+    try {
+      await navigator.clipboard.writeText(number);
+      setCopied(number);
+      setCopyError('');
+    } catch (error) {
+      // Clipboard access needs a secure context and permission
+      setCopied(null);
+      setCopyError(`Copy failed – select ${formatCardNumber(number)} by hand`);
+    }
+  };
+
+  return (
+    <div className="text-xs text-gray-600 p-2 bg-gray-50 rounded mt-2">
+      <p className="font-medium mb-1">Test Cards</p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-2">
+        {TEST_CARD_GROUPS.map(group => (
+          <div key={group.key}>
+            <p className="text-gray-500 font-medium">{group.label}</p>
+            {group.cards.map(card => (
+              <button
+                key={card.number}
+                type="button"
+                onClick={() => copyCard(card.number)}
+                className="block w-full text-left px-1 rounded hover:bg-gray-200"
+                title="Copy card number"
+              >
+                <span className="font-mono">{formatCardNumber(card.number)}</span>
+                <span className="text-gray-500"> {card.brand}{card.note ? ` · ${card.note}` : ''}</span>
+                {copied === card.number && <span className="text-green-700"> copied</span>}
+              </button>
+            ))}
+          </div>
+        ))}
+      </div>
+      {copyError && <p className="mt-1 text-red-600">{copyError}</p>}
+      <p className="mt-2">Use any future date, any 3 digits for CVC (4 for Amex), and any postal code.</p>
+    </div>
+  );
+};
+
+export default TestCardPalette;
@@ -1,33 +1,32 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useFlow, FLOW_STATES } from '../context/FlowContext';
-import { CardElement, useStripe, useElements, Elements } from '@stripe/react-stripe-js';
-import { loadStripe } from '@stripe/stripe-js';
+import { CardElement } from '@stripe/react-stripe-js';
 import * as stripeApi from '../api/stripe';
 import * as eveveApi from '../api/eveve';
+import * as har from '../api/har';
+import * as bookingSteps from '../api/bookingSteps';
+import { getCurrentRun, isCancellation, throwIfSuperseded } from '../api/run';
+import { SAMPLE_URLS, splitHoldUrl, toHoldParams } from '../api/holdRequest';
+import * as flowPersistence from '../context/flowPersistence';
 import useLogger from '../hooks/useLogger';
+import useTranslation from '../hooks/useTranslation';
+import MockCardElement from './MockCardElement';
+import HoldRequestBuilder from './HoldRequestBuilder';
+import StripeCardElement from './StripeCardElement';
+import StripePaymentElement from './StripePaymentElement';
+import TestCardPalette from './TestCardPalette';
+import { findTestCard, describeTestCard } from '../api/testCards';
+import { formatMoney } from '../api/money';
+import { DEFAULT_LANGUAGE } from '../i18n';
 
-// Sample test URLs for quick testing
-const SAMPLE_URLS = [
-  {
-    label: 'TestNZA - Deposit Required (card=2)',
-    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=10&date=2025-08-01&time=20&area=1000'
-  },
-  {
-    label: 'TestNZA - No-Show Protection (card=1)',
-    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=4&date=2025-08-01&time=12'
-  },
-  {
-    label: 'TestNZA - Card Required (Event)',
-    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=4&date=2025-08-01&time=18&event=1000&area=1000'
-  },
-  {
-    label: 'TestNZA - Deposit (no area param)',
-    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=6&date=2025-08-01&time=18'
-  },
-  {
-    label: 'TestNZA - No card required',
-    url: 'https://nz.eveve.com/web/hold?est=TestNZA&lng=en&covers=2&date=2025-08-01&time=12'
-  }
+// Steps offered on the resume prompt, most advanced first
+const RESUME_STEPS = [
+  { flag: 'paymentMethodAttached', label: 'Payment method attached' },
+  { flag: 'paymentProcessed', label: 'Card confirmed' },
+  { flag: 'depositInfoLoaded', label: 'Deposit info loaded' },
+  { flag: 'keysLoaded', label: 'Stripe keys loaded' },
+  { flag: 'customerDetailsComplete', label: 'Customer details collected' },
+  { flag: 'holdComplete', label: 'Hold placed' }
 ];
 
 // Stripe card element styling options
@@ -49,47 +48,60 @@ const cardElementOptions = {
   hidePostalCode: true,
 };
 
-// Wrapper component for Stripe Elements
+// Wrapper that loads Stripe.js for the current keys from the instance registry in src/api/stripe.js
 const UnifiedBookingFormWrapper = () => {
-  const { stripe: stripeContext, flowState } = useFlow();
-  const [stripePromise, setStripePromise] = useState(null);
+  const { stripe: stripeContext, flowState, settings } = useFlow();
+  // { key, client } – the instance loaded for a registry key
+  const [loadedStripe, setLoadedStripe] = useState(null);
   const { logInfo, logError } = useLogger();
+  const offlineStripe = settings.stripeMock || !!settings.replay;
+  const instanceKey = stripeContext.publicKey
+    ? stripeApi.getStripeInstanceKey(stripeContext.publicKey, stripeContext.account)
+    : null;
 
-  // Initialize Stripe when needed
+  // Initialize Stripe when needed (the offline stand-in needs no Stripe.js); a new key or
+  // account – e.g. another establishment in the next run – gets its own instance
   useEffect(() => {
-    if (flowState === FLOW_STATES.ENTERING_CARD && stripeContext.publicKey && !stripePromise) {
-      const initializeStripe = async () => {
-        try {
-          logInfo('Initializing Stripe Elements', { 
-            publicKeyPrefix: stripeContext.publicKey.substring(0, 8) + '...' 
-          });
-          
-          const stripe = await loadStripe(stripeContext.publicKey);
-          setStripePromise(stripe);
-        } catch (error) {
-          logError('Failed to load Stripe.js', error);
-        }
-      };
-      
-      initializeStripe();
-    }
-  }, [flowState, stripeContext.publicKey, stripePromise, logInfo, logError]);
+    if (flowState !== FLOW_STATES.ENTERING_CARD || !instanceKey || offlineStripe || loadedStripe?.key === instanceKey) return;
+    
+    let cancelled = false;
+    const initializeStripe = async () => {
+      try {
+        logInfo('Initializing Stripe Elements', { 
+          publicKeyPrefix: stripeContext.publicKey.substring(0, 8) + '...',
+          stripeAccount: stripeContext.account || 'platform'
+        });
+        
+        const client = await stripeApi.getStripe(stripeContext.publicKey, stripeContext.account);
+        if (!cancelled) setLoadedStripe({ key: instanceKey, client });
+      } catch (error) {
+        logError('Failed to load Stripe.js', error);
+      }
+    };
+    
+    initializeStripe();
+    return () => { cancelled = true; };
+  }, [flowState, instanceKey, stripeContext.publicKey, stripeContext.account, loadedStripe, offlineStripe, logInfo, logError]);
+
+  // Never hand out an instance loaded for other keys
+  const stripe = loadedStripe?.key === instanceKey ? loadedStripe.client : null;
 
   return (
-    <Elements stripe={stripePromise}>
-      <UnifiedBookingForm stripeLoaded={!!stripePromise} />
-    </Elements>
+    <UnifiedBookingForm
+      stripe={stripe}
+      stripeInstanceKey={instanceKey}
+      stripeLoaded={!!stripe || offlineStripe}
+    />
   );
 };
 
 // The main unified booking form component
-const UnifiedBookingForm = ({ stripeLoaded }) => {
-  // Stripe hooks
-  const stripe = useStripe();
-  const elements = useElements();
-  
+// stripe: Stripe.js instance for the current keys (null offline or while loading)
+const UnifiedBookingForm = ({ stripe, stripeInstanceKey, stripeLoaded }) => {
+
   // URL and loading state
   const [url, setUrl] = useState('');
+  const [regionCode, setRegionCode] = useState('auto');
   const [isLoading, setIsLoading] = useState(false);
   const [urlError, setUrlError] = useState('');
   
@@ -99,9 +111,30 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
   const [keysLoaded, setKeysLoaded] = useState(false);
   const [depositInfoLoaded, setDepositInfoLoaded] = useState(false);
   const [cardComplete, setCardComplete] = useState(false);
+  const [mockCard, setMockCard] = useState(null);
+  // Last card copied from the test card palette (CardElement does not expose the number)
+  const [copiedTestCard, setCopiedTestCard] = useState(null);
+  // Elements group of the mounted Stripe input (CardElement or PaymentElement, see settings.elementMode)
+  const elementsRef = useRef(null);
   const [paymentProcessed, setPaymentProcessed] = useState(false);
   const [paymentMethodAttached, setPaymentMethodAttached] = useState(false);
   const [bookingComplete, setBookingComplete] = useState(false);
+  const [holdInvalid, setHoldInvalid] = useState(false);
+  
+  // Steps to re-run after an automatic re-hold ({ keys, deposit, resumeCardEntry })
+  const [pendingRefetch, setPendingRefetch] = useState(null);
+  const reholdingRef = useRef(false);
+  
+  // Flow saved before the last page reload, offered for resume; nothing is saved until it is answered
+  const [savedFlow, setSavedFlow] = useState(() => flowPersistence.loadFlow());
+  
+  // Set when the page loads from a Stripe return_url after redirect-based authentication;
+  // phase goes 'resume' → 'retrieve' → 'complete'
+  const [redirectReturn, setRedirectReturn] = useState(() => {
+    const params = stripeApi.parseRedirectReturn(window.location.search);
+    return params ? { ...params, phase: 'resume' } : null;
+  });
+  const completeBookingRef = useRef(null);
   
   // Form data state
   const [customerDetails, setCustomerDetails] = useState({
@@ -118,6 +151,8 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
   // Error state
   const [formErrors, setFormErrors] = useState({});
   const [cardError, setCardError] = useState('');
+  // Last failed confirmation, explained by stripeApi.handleStripeError
+  const [paymentFailure, setPaymentFailure] = useState(null);
   
   // Current step tracking
   const [currentStep, setCurrentStep] = useState('idle');
@@ -137,11 +172,46 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     setError,
     setPaymentMethod,
     setCustomerDetails: setContextCustomerDetails,
+    hydrateState,
     resetState,
+    settings,
+    setSettings,
+    holdExpiry,
+    holdExpirySource,
+    flowTransitions,
+    logs,
+    error: flowError,
+    paymentMethod,
+    customerDetails: contextCustomerDetails,
     stripe: stripeContext
   } = useFlow();
   
+  // FlowContext actions the shared booking steps store their results with
+  const flowActions = useMemo(() => ({
+    setFlowState,
+    setBooking,
+    setStripeKeys,
+    setPaymentType,
+    setPaymentMethod
+  }), [setFlowState, setBooking, setStripeKeys, setPaymentType, setPaymentMethod]);
+  
+  // Mock mode and HAR replay both confirm without Stripe.js
+  const offlineStripe = settings.stripeMock || !!settings.replay;
+  const paymentElementMode = settings.elementMode === 'payment';
+  
+  const handleElements = useCallback((elementsGroup) => {
+    elementsRef.current = elementsGroup;
+  }, []);
+  
+  // Switching integration remounts the card input, so nothing entered carries over
+  const changeElementMode = (elementMode) => {
+    setSettings({ elementMode });
+    setCardComplete(false);
+    setCardError('');
+  };
+  
   const { logInfo, logSuccess, logError } = useLogger();
+  const { t, language } = useTranslation();
   
   // Set up API logger
   useEffect(() => {
@@ -151,61 +221,62 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
   
   // Parse URL to extract parameters
   const parseHoldUrl = useCallback((url) => {
-    try {
-      const urlObj = new URL(url);
-      const params = Object.fromEntries(urlObj.searchParams.entries());
-      
-      // Validate required parameters
-      // 'area' is optional
-      const requiredParams = ['est', 'covers', 'date', 'time'];
-      const missingParams = requiredParams.filter(param => !params[param]);
-      
-      if (missingParams.length > 0) {
-        return {
-          isValid: false,
-          error: `Missing required parameters: ${missingParams.join(', ')}`,
-          params: null
-        };
-      }
-      
+    const split = splitHoldUrl(url);
+    
+    if (!split) {
       return {
-        isValid: true,
-        error: null,
-        params: {
-          est: params.est,
-          lng: params.lng || 'en',
-          covers: parseInt(params.covers, 10),
-          date: params.date,
-          time: parseInt(params.time, 10),
-          // include area only if present; it's optional
-          ...(params.area ? { area: parseInt(params.area, 10) } : {})
-        }
+        isValid: false,
+        error: 'Invalid URL format',
+        params: null
       };
-    } catch (error) {
+    }
+    
+    // Validate and type every supported parameter ('area' and 'event' are optional)
+    const { params, errors } = toHoldParams(split.fields);
+    
+    if (errors.length > 0) {
       return {
         isValid: false,
-        error: 'Invalid URL format',
+        error: `Invalid HOLD parameters: ${errors.join('; ')}`,
         params: null
       };
     }
-  }, []);
+    
+    // Work out which Eveve region to talk to (explicit picker wins over the URL host)
+    const region = eveveApi.resolveRegion(url, regionCode === 'auto' ? null : regionCode);
+    
+    if (!region) {
+      return {
+        isValid: false,
+        error: `Cannot determine Eveve region from host "${new URL(url).hostname}" – select a region`,
+        params: null
+      };
+    }
+    
+    return {
+      isValid: true,
+      error: null,
+      region,
+      params
+    };
+  }, [regionCode]);
   
   // Validate customer details
   const validateCustomerDetails = () => {
     const errors = {};
     
     if (!customerDetails.firstName.trim()) {
-      errors.firstName = 'First name is required';
+      errors.firstName = t('validation.firstName');
     }
     
     if (!customerDetails.lastName.trim()) {
-      errors.lastName = 'Last name is required';
+      errors.lastName = t('validation.lastName');
     }
     
     if (!customerDetails.email.trim()) {
-      errors.email = 'Email is required';
+      errors.email = t('validation.email');
     } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customerDetails.email.trim())) {
-      errors.email = 'Please enter a valid email address';
+      errors.email = t('validation.emailInvalid');
     }
     
     setFormErrors(prev => ({
@@ -222,24 +293,24 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     
     // Basic fields validation
     if (!customerDetails.firstName.trim()) {
-      errors.firstName = 'First name is required';
+      errors.firstName = t('validation.firstName');
     }
     
     if (!customerDetails.lastName.trim()) {
-      errors.lastName = 'Last name is required';
+      errors.lastName = t('validation.lastName');
     }
     
     if (!customerDetails.email.trim()) {
-      errors.email = 'Email is required';
+      errors.email = t('validation.email');
     } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customerDetails.email.trim())) {
-      errors.email = 'Please enter a valid email address';
+      errors.email = t('validation.emailInvalid');
     }
     
     // Additional fields validation
     if (!customerDetails.phone.trim()) {
-      errors.phone = 'Phone number is required';
+      errors.phone = t('validation.phone');
     } else if (!/^[+\d\s()-]{7,20}$/.test(customerDetails.phone.trim())) {
-      errors.phone = 'Please enter a valid phone number';
+      errors.phone = t('validation.phoneInvalid');
     }
     
     setFormErrors(prev => ({
@@ -300,45 +371,30 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
   };
   
   // Process the booking hold
-  const processHold = useCallback(async (holdParams) => {
+  const processHold = useCallback(async (holdParams, region) => {
     setIsLoading(true);
-    setFlowState(FLOW_STATES.HOLDING);
     setCurrentStep('holding');
     
     try {
-      const response = await eveveApi.hold(holdParams);
+      const bookingData = await bookingSteps.holdBooking(flowActions, holdParams, region);
       
-      if (!response.data.ok) {
-        throw new Error('Booking hold failed');
-      }
-      
-      // Extract and store booking data
-      const bookingData = {
-        uid: response.data.uid,
-        created: response.data.created,
-        card: response.data.card,
-        perHead: response.data.perHead,
-        est: holdParams.est,
-        covers: holdParams.covers,
-        date: holdParams.date,
-        time: holdParams.time,
-        // include area only when provided in the original hold parameters
-        ...(holdParams.area ? { area: holdParams.area } : {})
-      };
-      
-      setBooking(bookingData);
       setHoldComplete(true);
       setCurrentStep('holdComplete');
       
       // Log the booking status
       logInfo(`Booking hold successful (UID: ${bookingData.uid})`, {
+        region: region.code,
         cardRequired: bookingData.card > 0,
         cardType: bookingData.card === 1 ? 'No-Show Protection' : 
                  bookingData.card === 2 ? 'Deposit Required' : 'None',
-        amount: bookingData.perHead ? `$${(bookingData.perHead / 100).toFixed(2)} per person` : '$0.00'
+        // Currency is only known after deposit-get
+        amount: `${formatMoney(bookingData.perHead, null)} per person`
       });
       
     } catch (error) {
+      // Superseded by Reset / a new HOLD – nothing to report
+      if (isCancellation(error)) return;
+      
       logError('Booking hold failed', error);
       setError({
         message: 'Booking hold failed: ' + error.message
@@ -348,8 +404,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       setIsLoading(false);
     }
   }, [
-    setFlowState, 
-    setBooking, 
+    flowActions,
     logInfo, 
     logError, 
     setError
@@ -368,38 +423,12 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     try {
       setIsLoading(true);
       setCurrentStep('fetchingKeys');
-      setFlowState(FLOW_STATES.AWAITING_STRIPE);
       
-      // Create a friendly customer description for Stripe
-      const customerDescription = `${customerDetails.firstName}_${customerDetails.lastName}_-_${customerDetails.email}`;
-      
-      const piGetParams = {
-        est: booking.est || 'TestNZA',
-        uid: booking.uid,
-        type: 0,
-        // Use customer details for friendly description in Stripe admin
-        desc: customerDescription,
-        created: booking.created
-      };
-      
-      const response = await eveveApi.piGet(piGetParams);
-      
-      // Handle both old and new API field names for backward compatibility
-      const clientSecret = response.data.clientSecret || response.data.client_secret;
-      const publicKey = response.data.publishableKey || response.data.public_key || response.data.stripePK;
-      
-      if (!clientSecret || !publicKey) {
-        throw new Error('Missing Stripe keys in pi-get response');
-      }
-      
-      setStripeKeys({
-        clientSecret,
-        publicKey,
-        cust: response.data.cust
-      });
+      const { account, customerDescription } = await bookingSteps.fetchStripeKeys(flowActions, booking, customerDetails);
       
       logInfo('Stripe keys retrieved successfully', {
-        customerDescription
+        customerDescription,
+        stripeAccount: account || 'platform'
       });
       
       setKeysLoaded(true);
@@ -407,6 +436,8 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       
       return true;
     } catch (error) {
+      if (isCancellation(error)) return false;
+      
       logError('Failed to retrieve Stripe keys', error);
       setError({
         message: 'Failed to retrieve Stripe keys: ' + error.message
@@ -416,7 +447,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [booking, setFlowState, setStripeKeys, logInfo, logError, setError, customerDetails, customerDetailsComplete]);
+  }, [booking, flowActions, logInfo, logError, setError, customerDetails, customerDetailsComplete]);
   
   // Fetch deposit information
   const fetchDepositInfo = useCallback(async () => {
@@ -426,28 +457,14 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       setIsLoading(true);
       setCurrentStep('fetchingDeposit');
       
-      const depositParams = {
-        est: booking.est || 'TestNZA',
-        UID: booking.uid,
-        created: booking.created,
-        lang: 'english',
-        type: 0
-      };
-      
-      const response = await eveveApi.depositGet(depositParams);
-      
-      if (!response.data.ok) {
-        throw new Error('Deposit-get request failed');
-      }
-      
-      setPaymentType(response.data);
+      const deposit = await bookingSteps.fetchDepositInfo(flowActions, booking);
       
       // Log the payment type
-      const paymentType = response.data.code === 1 ? 'No-Show Protection' : 'Deposit Required';
+      const paymentType = deposit.code === 1 ? 'No-Show Protection' : 'Deposit Required';
       logInfo(`Payment type determined: ${paymentType}`, {
-        code: response.data.code,
-        amount: `$${(response.data.total / 100).toFixed(2)}`,
-        message: response.data.message
+        code: deposit.code,
+        amount: formatMoney(deposit.total, deposit.currency),
+        message: deposit.message
       });
       
       setDepositInfoLoaded(true);
@@ -455,6 +472,8 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       
       return true;
     } catch (error) {
+      if (isCancellation(error)) return false;
+      
       logError('Failed to retrieve deposit information', error);
       setError({
         message: 'Failed to retrieve deposit information: ' + error.message
@@ -464,7 +483,92 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [booking, setPaymentType, logInfo, logError, setError]);
+  }, [booking, flowActions, logInfo, logError, setError]);
+  
+  // Replace an expired hold with a fresh one for the same slot (customer details are kept)
+  const reholdBooking = useCallback(async () => {
+    if (!booking || reholdingRef.current) return;
+    
+    const run = getCurrentRun();
+    const holdParams = {
+      est: booking.est,
+      lng: booking.lng || DEFAULT_LANGUAGE,
+      covers: booking.covers,
+      date: booking.date,
+      time: booking.time,
+      ...(booking.area ? { area: booking.area } : {}),
+      ...(booking.event ? { event: booking.event } : {})
+    };
+    
+    reholdingRef.current = true;
+    logInfo(`Hold expired (UID: ${booking.uid}) – re-holding`, holdParams);
+    
+    try {
+      const response = await eveveApi.hold(holdParams, booking.region);
+      throwIfSuperseded(run);
+      
+      if (!response.data.ok) {
+        throw new Error(response.data.error || 'Booking hold failed');
+      }
+      
+      setBooking({
+        ...booking,
+        uid: response.data.uid,
+        created: response.data.created,
+        until: response.data.until,
+        card: response.data.card,
+        perHead: response.data.perHead
+      });
+      setHoldInvalid(false);
+      
+      logInfo(`Re-hold successful (UID: ${booking.uid} → ${response.data.uid})`);
+      
+      // Stripe keys and deposit info belong to the old UID
+      if (keysLoaded || depositInfoLoaded) {
+        setKeysLoaded(false);
+        setDepositInfoLoaded(false);
+        setPendingRefetch({
+          keys: keysLoaded,
+          deposit: depositInfoLoaded,
+          resumeCardEntry: flowState === FLOW_STATES.ENTERING_CARD
+        });
+      }
+    } catch (error) {
+      if (isCancellation(error)) return;
+      
+      logError('Re-hold failed', error);
+      setError({
+        message: 'Re-hold failed: ' + error.message
+      });
+    } finally {
+      reholdingRef.current = false;
+    }
+  }, [booking, keysLoaded, depositInfoLoaded, flowState, setBooking, logInfo, logError, setError]);
+  
+  // Re-hold when the hold expires (opt-in); waits for any request in progress.
+  // Not once the card is confirmed: the intent belongs to the old UID, so a new
+  // hold would orphan it – the header shows the expiry warning instead
+  useEffect(() => {
+    if (!settings.autoRehold || !booking || !holdExpiry || isLoading || bookingComplete || paymentProcessed) return;
+    if (flowState === FLOW_STATES.COMPLETED || flowState === FLOW_STATES.ERROR) return;
+    
+    const id = setTimeout(reholdBooking, Math.max(0, holdExpiry - Date.now()));
+    return () => clearTimeout(id);
+  }, [settings.autoRehold, booking, holdExpiry, isLoading, bookingComplete, paymentProcessed, flowState, reholdBooking]);
+  
+  // After a re-hold, fetch keys / deposit info again for the new UID
+  useEffect(() => {
+    if (!pendingRefetch) return;
+    
+    const { keys, deposit, resumeCardEntry } = pendingRefetch;
+    setPendingRefetch(null);
+    
+    (async () => {
+      if (keys && !(await fetchStripeKeys())) return;
+      if (deposit && !(await fetchDepositInfo())) return;
+      if (resumeCardEntry) setFlowState(FLOW_STATES.ENTERING_CARD);
+    })();
+  }, [pendingRefetch, fetchStripeKeys, fetchDepositInfo, setFlowState]);
   
   // Proceed to card entry
   const proceedToCardEntry = useCallback(() => {
@@ -488,25 +592,75 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     logInfo('Proceeding to customer details');
   }, [setFlowState, logInfo]);
   
+  // Confirm the hold is still valid before charging the card
+  const validateBooking = async () => {
+    setCurrentStep('validatingBooking');
+    
+    try {
+      const { valid, tables } = await bookingSteps.validateHold(booking);
+      
+      if (!valid) {
+        setHoldInvalid(true);
+        throw new Error('Booking hold is no longer valid');
+      }
+      
+      logInfo('Booking hold is still valid', {
+        bookingId: booking.uid,
+        tables
+      });
+      
+      return {
+        success: true
+      };
+    } catch (error) {
+      if (isCancellation(error)) {
+        return {
+          success: false,
+          error
+        };
+      }
+      
+      // Log the error
+      logError('Booking validation failed – card not charged', error);
+      
+      return {
+        success: false,
+        error
+      };
+    }
+  };
+  
+  // Test card used for this payment, for the log: the number typed into the mock input,
+  // otherwise the last one copied from the palette
+  const testCardDetail = () => {
+    const card = offlineStripe ? findTestCard(mockCard?.number) : copiedTestCard;
+    if (!card) return {};
+    return offlineStripe ? { testCard: describeTestCard(card) } : { testCard: `${describeTestCard(card)} – last copied` };
+  };
+  
   // Process payment with Stripe
   const processPayment = async () => {
-    if (!stripe || !elements) {
-      setCardError('Stripe.js has not loaded yet');
+    // In mock / replay mode confirmations go to the stand-in from src/api/stripe.js
+    const stripeClient = offlineStripe
+      ? await stripeApi.getStripe(stripeContext.publicKey, stripeContext.account)
+      : stripe;
+    
+    const liveElements = elementsRef.current;
+    if (!stripeClient || (!offlineStripe && !liveElements)) {
+      setCardError(t('payment.stripeNotLoaded'));
       return false;
     }
     
     if (!cardComplete) {
-      setCardError('Please complete your card details');
+      setCardError(t('payment.cardIncomplete'));
       return false;
     }
 
     setCardError('');
+    setPaymentFailure(null);
     setCurrentStep('processingPayment');
 
     try {
-      // Get the CardElement
-      const cardElement = elements.getElement(CardElement);
-
       // Create billing details from customer details
       const billingDetails = {
         name: `${customerDetails.firstName} ${customerDetails.lastName}`,
@@ -515,48 +669,39 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
 
       // Process payment based on intent type
       const intentType = stripeApi.getIntentType(stripeContext.clientSecret);
-      let result;
+      const integration = paymentElementMode ? 'PaymentElement' : 'CardElement';
       
       if (intentType === 'setup_intent') {
         // No-show protection - just store the card
-        logInfo('Processing setup intent for no-show protection');
-        
-        result = await stripe.confirmCardSetup(stripeContext.clientSecret, {
-          payment_method: {
-            card: cardElement,
-            billing_details: billingDetails
-          }
-        });
+        logInfo('Processing setup intent for no-show protection', { integration, ...testCardDetail() });
       } else {
         // Deposit - charge the card now
         logInfo('Processing payment intent for deposit', { 
-          amount: formatAmount(stripeContext.amount) 
-        });
-        
-        result = await stripe.confirmCardPayment(stripeContext.clientSecret, {
-          payment_method: {
-            card: cardElement,
-            billing_details: billingDetails
-          }
+          amount: formatAmount(stripeContext.amount),
+          integration,
+          ...testCardDetail()
         });
       }
-
-      if (result.error) {
-        // Show error to your customer
-        throw result.error;
-      }
       
-      // Payment or setup successful - extract intent ID (seti_xxx or pi_xxx)
-      const paymentMethodId = intentType === 'setup_intent' 
-        ? result.setupIntent.id
-        : result.paymentIntent.id;
+      // confirmSetup / confirmPayment with the PaymentElement, otherwise confirmCardSetup /
+      // confirmCardPayment with the CardElement (the mock clients read the fake card);
+      // 3-D Secure is worked through step by step so each one is logged
+      const cardInput = paymentElementMode
+        ? { elements: offlineStripe ? { card: mockCard } : liveElements }
+        : { card: offlineStripe ? mockCard : liveElements.getElement(CardElement) };
+      const intent = await bookingSteps.confirmCard(flowActions, stripeContext.clientSecret, cardInput, {
+        stripe: stripeClient,
+        billingDetails,
+        returnUrl: `${window.location.origin}${window.location.pathname}`,
+        onAuthentication: logInfo
+      });
       
-      // Store the payment method ID
-      setPaymentMethod(paymentMethodId);
+      // Payment or setup successful - extract intent ID (seti_xxx or pi_xxx)
+      const paymentMethodId = intent.id;
       
       logSuccess('Payment processed successfully', {
         paymentMethodId: paymentMethodId.substring(0, 5) + '...',
-        status: intentType === 'setup_intent' ? result.setupIntent.status : result.paymentIntent.status
+        status: intent.status
       });
       
       setPaymentProcessed(true);
@@ -565,12 +710,19 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
         paymentMethodId
       };
     } catch (error) {
-      // Log the error
+      if (isCancellation(error)) {
+        return {
+          success: false,
+          error
+        };
+      }
+      
+      // Log the error with what it means for the guest and what to do next
+      const failure = stripeApi.handleStripeError(error);
+      setPaymentFailure(failure);
       logError('Payment processing failed', {
-        message: error.message,
-        code: error.code,
-        type: error.type,
-        decline_code: error.decline_code
+        ...failure,
+        ...testCardDetail()
       });
       
       return {
@@ -582,32 +734,11 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
   
   // Attach payment method to booking
   const attachPaymentMethod = async (paymentMethodId) => {
-    if (!paymentMethodId) {
-      return {
-        success: false,
-        error: new Error('No payment method available to attach')
-      };
-    }
-    
     setCurrentStep('attachingPaymentMethod');
     
     try {
       // Call pm-id to attach the payment method to the booking
-      const pmIdParams = {
-        est: booking.est,
-        uid: booking.uid,
-        created: booking.created,
-        pm: paymentMethodId,
-        total: stripeContext.amount,
-        totalFloat: stripeContext.amount / 100,
-        type: 0
-      };
-      
-      const pmIdResponse = await eveveApi.pmId(pmIdParams);
-      
-      if (!pmIdResponse.data.ok) {
-        throw new Error('Failed to attach payment method to booking');
-      }
+      await bookingSteps.attachPaymentMethod(booking, paymentMethodId, stripeContext);
 
       // Log success
       const successMessage = isDepositRequired()
@@ -623,6 +754,13 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
         success: true
       };
     } catch (error) {
+      if (isCancellation(error)) {
+        return {
+          success: false,
+          error
+        };
+      }
+      
       // Log the error
       logError('Failed to attach payment method', error);
       
@@ -636,30 +774,6 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
   // Update booking with customer details
   const updateBooking = async () => {
     try {
-      // Prepare update parameters
-      const updateParams = {
-        est: booking.est,
-        uid: booking.uid,
-        lng: 'en',
-        lastName: customerDetails.lastName,
-        firstName: customerDetails.firstName,
-        phone: customerDetails.phone,
-        email: customerDetails.email,
-        notes: customerDetails.notes || '',
-        dietary: customerDetails.dietary || '',
-        allergies: customerDetails.allergies || '',
-        optem: customerDetails.optem
-      };
-      
-      // Add any additional booking options if needed
-      if (booking.bookopt) {
-        updateParams.bookopt = booking.bookopt;
-      }
-      
-      if (booking.guestopt) {
-        updateParams.guestopt = booking.guestopt;
-      }
-      
       // Log the update attempt
       logInfo('Finalizing booking with customer details', {
         name: `${customerDetails.firstName} ${customerDetails.lastName}`,
@@ -667,11 +781,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       });
       
       // Call the update API
-      const response = await eveveApi.update(updateParams);
-      
-      if (!response.data.ok) {
-        throw new Error('Booking update failed');
-      }
+      await bookingSteps.updateBooking(booking, customerDetails);
       
       // Log success
       logSuccess('Booking details successfully updated', {
@@ -683,6 +793,13 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
         success: true
       };
     } catch (error) {
+      if (isCancellation(error)) {
+        return {
+          success: false,
+          error
+        };
+      }
+      
       // Log the error
       logError('Failed to update booking with customer details', error);
       
@@ -703,23 +820,49 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     setIsLoading(true);
     setFormErrors({});
     
+    // Steps after a Reset must not run against the old booking
+    const run = getCurrentRun();
+    
     try {
       // ------------------------------------------------------------
       // STEP 1 – CARD REQUIRED: PROCESS PAYMENT *FIRST*
       // ------------------------------------------------------------
-      if (isCardRequired() && cardComplete) {
-        // 1A. Process payment
-        const paymentResult = await processPayment();
+      if (isCardRequired() && (cardComplete || paymentProcessed)) {
+        let paymentMethodId = paymentMethod;
+        
+        if (paymentProcessed && paymentMethodId) {
+          // Card was already confirmed (e.g. before a page reload) – never confirm it twice
+          logInfo('Card already confirmed – skipping payment', {
+            paymentMethodId: paymentMethodId.substring(0, 5) + '...'
+          });
+        } else {
+          // 1A. Make sure the hold has not lapsed – never charge against a dead hold
+          const validationResult = await validateBooking();
+          throwIfSuperseded(run);
+          
+          if (!validationResult.success) {
+            throw new Error(
+              validationResult.error?.message || 'Booking validation failed'
+            );
+          }
+          
+          // 1B. Process payment
+          const paymentResult = await processPayment();
+          throwIfSuperseded(run);
 
-        // If card is declined (or any payment failure), abort – DO NOT call web/update
-        if (!paymentResult.success) {
-          throw new Error(
-            paymentResult.error?.message || 'Payment processing failed'
-          );
+          // If card is declined (or any payment failure), abort – DO NOT call web/update
+          if (!paymentResult.success) {
+            throw new Error(
+              paymentResult.error?.message || 'Payment processing failed'
+            );
+          }
+          
+          paymentMethodId = paymentResult.paymentMethodId;
         }
 
-        // 1B. Update booking now that payment succeeded
+        // 1C. Update booking now that payment succeeded
         const updateResult = await updateBooking();
+        throwIfSuperseded(run);
 
         if (!updateResult.success) {
           throw new Error(
@@ -727,10 +870,9 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
           );
         }
 
-        // 1C. Attach payment method after successful update
-        const attachResult = await attachPaymentMethod(
-          paymentResult.paymentMethodId
-        );
+        // 1D. Attach payment method after successful update
+        const attachResult = await attachPaymentMethod(paymentMethodId);
+        throwIfSuperseded(run);
 
         if (!attachResult.success) {
           throw new Error(
@@ -750,6 +892,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       } else {
         // No card required, just update the booking
         const updateResult = await updateBooking();
+        throwIfSuperseded(run);
         
         if (!updateResult.success) {
           throw new Error(updateResult.error?.message || 'Booking update failed');
@@ -768,6 +911,8 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       setCurrentStep('bookingComplete');
       
     } catch (error) {
+      if (isCancellation(error)) return;
+      
       // Log the error
       logError('Failed to complete booking', error);
       
@@ -776,10 +921,10 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
         message: 'Failed to complete booking: ' + error.message
       });
       
-      // Show error in form
+      // Show error in form (the details are in the log)
       setFormErrors(prev => ({
         ...prev,
-        submit: error.message || 'An error occurred while finalizing your booking'
+        submit: t('validation.submit')
       }));
       
       setCurrentStep('error');
@@ -796,14 +941,18 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     setUrlError('');
     
     // Parse and validate URL
-    const { isValid, error, params } = parseHoldUrl(url);
+    const { isValid, error, params, region } = parseHoldUrl(url);
     
     if (!isValid) {
       setUrlError(error);
       return;
     }
     
+    // A new HOLD replaces any flow saved before a reload
+    setSavedFlow(null);
+    
     // Reset application state before starting new flow
+    // (also aborts anything still in flight and starts a new run)
     resetState();
     
     // Reset all local state
@@ -812,9 +961,14 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     setKeysLoaded(false);
     setDepositInfoLoaded(false);
     setCardComplete(false);
+    setMockCard(null);
+    setCopiedTestCard(null);
+    setPaymentFailure(null);
     setPaymentProcessed(false);
     setPaymentMethodAttached(false);
     setBookingComplete(false);
+    setHoldInvalid(false);
+    setPendingRefetch(null);
     setCustomerDetails({
       firstName: '',
       lastName: '',
@@ -829,8 +983,12 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     setCardError('');
     setCurrentStep('idle');
     
+    // Start a fresh HAR recording for this run (and replay a loaded HAR from the top)
+    har.clearRecording();
+    har.rewindReplay();
+    
     // Process the hold request
-    await processHold(params);
+    await processHold(params, region);
   }, [url, parseHoldUrl, processHold, resetState]);
   
   // Handle sample URL selection
@@ -842,14 +1000,20 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
   // Reset all state when main reset is called
   useEffect(() => {
     if (flowState === FLOW_STATES.IDLE) {
+      har.clearRecording();
       setHoldComplete(false);
       setCustomerDetailsComplete(false);
       setKeysLoaded(false);
       setDepositInfoLoaded(false);
       setCardComplete(false);
+      setMockCard(null);
+      setCopiedTestCard(null);
+      setPaymentFailure(null);
       setPaymentProcessed(false);
       setPaymentMethodAttached(false);
       setBookingComplete(false);
+      setHoldInvalid(false);
+      setPendingRefetch(null);
       setCustomerDetails({
         firstName: '',
         lastName: '',
@@ -866,6 +1030,176 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     }
   }, [flowState]);
   
+  // Save the flow on every change so a reload can pick it up again
+  useEffect(() => {
+    if (savedFlow) return;
+    
+    if (!booking || flowState === FLOW_STATES.COMPLETED) {
+      flowPersistence.clearFlow();
+      return;
+    }
+    
+    flowPersistence.saveFlow(flowPersistence.createSnapshot(
+      {
+        booking,
+        stripe: stripeContext,
+        paymentMethod,
+        flowState,
+        flowTransitions,
+        logs,
+        customerDetails: contextCustomerDetails,
+        holdExpiry,
+        holdExpirySource,
+        error: flowError ? { message: flowError.message } : null,
+        // Only plain flags – mock and replay modes need module state that a reload loses
+        settings: {
+          autoRehold: settings.autoRehold,
+          persistSecrets: settings.persistSecrets,
+          elementMode: settings.elementMode
+        }
+      },
+      {
+        url,
+        regionCode,
+        currentStep,
+        holdComplete,
+        customerDetailsComplete,
+        keysLoaded,
+        depositInfoLoaded,
+        paymentProcessed,
+        paymentMethodAttached,
+        customerDetails
+      },
+      settings.persistSecrets
+    ));
+  }, [
+    savedFlow, booking, stripeContext, paymentMethod, flowState, flowTransitions, logs, contextCustomerDetails,
+    holdExpiry, holdExpirySource, flowError, url, regionCode, currentStep, holdComplete,
+    customerDetailsComplete, keysLoaded, depositInfoLoaded, paymentProcessed,
+    paymentMethodAttached, customerDetails, settings.autoRehold, settings.persistSecrets,
+    settings.elementMode
+  ]);
+  
+  // Restore the saved flow into context and the form; after a Stripe redirect
+  // the client secret comes from the return URL
+  const resumeSavedFlow = useCallback((redirectSecret = null) => {
+    const { flow, form } = savedFlow;
+    const secret = redirectSecret || flow.stripe?.clientSecret;
+    const secretMissing = !secret || flowPersistence.isRedacted(secret);
+    
+    // Without the client secret pi-get has to run again, unless the card is already confirmed
+    const keysLost = secretMissing && form.keysLoaded && !form.paymentProcessed;
+    
+    hydrateState({
+      ...flow,
+      stripe: { ...flow.stripe, clientSecret: secretMissing ? null : secret },
+      flowState: keysLost ? FLOW_STATES.HOLDING : flow.flowState
+    });
+    
+    setUrl(form.url);
+    setRegionCode(form.regionCode);
+    setHoldComplete(form.holdComplete);
+    setCustomerDetailsComplete(form.customerDetailsComplete);
+    setKeysLoaded(form.keysLoaded && !keysLost);
+    setDepositInfoLoaded(form.depositInfoLoaded);
+    setPaymentProcessed(form.paymentProcessed);
+    setPaymentMethodAttached(form.paymentMethodAttached);
+    setCustomerDetails(form.customerDetails);
+    setCurrentStep(keysLost ? 'customerDetailsComplete' : form.currentStep);
+    setSavedFlow(null);
+    
+    logInfo(redirectSecret ? 'Resumed booking flow after Stripe redirect' : 'Resumed booking flow after page reload', {
+      uid: flow.booking.uid,
+      savedAt: new Date(savedFlow.savedAt).toISOString(),
+      ...(keysLost ? { note: 'Stripe client secret was not persisted – fetch keys again' } : {})
+    });
+  }, [savedFlow, hydrateState, logInfo]);
+  
+  // Drop the saved flow and start from scratch
+  const discardSavedFlow = useCallback(() => {
+    flowPersistence.clearFlow();
+    setSavedFlow(null);
+  }, []);
+  
+  // Back from redirect-based authentication: restore the booking saved before the redirect
+  useEffect(() => {
+    if (redirectReturn?.phase !== 'resume') return;
+    
+    // Drop Stripe's parameters so a reload does not run this again
+    const cleanUrl = new URL(window.location.href);
+    stripeApi.REDIRECT_RETURN_PARAMS.forEach(param => cleanUrl.searchParams.delete(param));
+    window.history.replaceState(window.history.state, '', cleanUrl.toString());
+    
+    if (!savedFlow) {
+      logError('Returned from Stripe authentication but no saved booking to continue', {
+        intentId: redirectReturn.intentId,
+        redirectStatus: redirectReturn.redirectStatus
+      });
+      setRedirectReturn(null);
+      return;
+    }
+    
+    resumeSavedFlow(redirectReturn.clientSecret);
+    setRedirectReturn({ ...redirectReturn, phase: 'retrieve' });
+  }, [redirectReturn, savedFlow, resumeSavedFlow, logError]);
+  
+  // Then look up how authentication ended
+  useEffect(() => {
+    if (redirectReturn?.phase !== 'retrieve' || !booking || !stripeContext.publicKey) return;
+    
+    setRedirectReturn({ ...redirectReturn, phase: 'retrieving' });
+    
+    (async () => {
+      try {
+        const stripeClient = await stripeApi.getStripe(stripeContext.publicKey, stripeContext.account);
+        const result = await stripeApi.retrieveIntent(stripeClient, redirectReturn.clientSecret);
+        if (result.error) {
+          throw result.error;
+        }
+        
+        const intent = result.setupIntent || result.paymentIntent;
+        if (!bookingSteps.AUTHENTICATED_STATUSES.includes(intent.status)) {
+          const lastError = intent.last_setup_error || intent.last_payment_error;
+          throw new Error(lastError?.message || `Authentication did not complete (status ${intent.status})`);
+        }
+        
+        logSuccess('Authentication completed after redirect', {
+          intentId: intent.id,
+          status: intent.status,
+          redirectStatus: redirectReturn.redirectStatus
+        });
+        setPaymentMethod(intent.id);
+        setPaymentProcessed(true);
+        setRedirectReturn({ ...redirectReturn, phase: 'complete' });
+      } catch (error) {
+        if (isCancellation(error)) return;
+        
+        // The intent can be confirmed again with another card
+        logError('Authentication failed after redirect', {
+          message: error.message,
+          code: error.code,
+          redirectStatus: redirectReturn.redirectStatus
+        });
+        setCardError(t('payment.authenticationFailed', { message: error.message }));
+        setFlowState(FLOW_STATES.ENTERING_CARD);
+        setRedirectReturn(null);
+      }
+    })();
+  }, [redirectReturn, booking, stripeContext.publicKey, stripeContext.account, setPaymentMethod, setFlowState, logSuccess, logError, t]);
+  
+  // Keep the latest completeBooking for the effect below
+  useEffect(() => {
+    completeBookingRef.current = completeBooking;
+  });
+  
+  // Finally run update and pm-id for the stored booking (the card is not confirmed again)
+  useEffect(() => {
+    if (redirectReturn?.phase !== 'complete' || !paymentProcessed || !paymentMethod) return;
+    
+    setRedirectReturn(null);
+    completeBookingRef.current();
+  }, [redirectReturn, paymentProcessed, paymentMethod]);
+  
   // Format booking date for display
   const formatBookingDate = () => {
     if (!booking || !booking.date) return '';
@@ -874,7 +1208,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       const [year, month, day] = booking.date.split('-');
       const date = new Date(year, month - 1, day);
       
-      return date.toLocaleDateString('en-US', {
+      return date.toLocaleDateString(language.locale, {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
@@ -889,11 +1223,14 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
   const formatBookingTime = () => {
     if (!booking || !booking.time) return '';
     
-    const hour = parseInt(booking.time, 10);
-    const isPM = hour >= 12;
-    const hour12 = hour % 12 || 12;
+    const hour = Math.floor(booking.time);
+    const minutes = Math.round((booking.time - hour) * 60);
     
-    return `${hour12}:00 ${isPM ? 'PM' : 'AM'}`;
+    // 12- or 24-hour clock as the booking language writes it
+    return new Date(2000, 0, 1, hour, minutes).toLocaleTimeString(language.locale, {
+      hour: 'numeric',
+      minute: '2-digit'
+    });
   };
   
   // Disable form when not in IDLE state
@@ -904,6 +1241,57 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
     <div className="bg-white rounded-lg shadow-md p-6 mb-4">
       <h2 className="text-xl font-semibold text-stripe-dark mb-4">Unified Booking Form</h2>
       
+      {/* Returning from redirect-based authentication */}
+      {redirectReturn && (
+        <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-md text-sm text-blue-800">
+          Returned from Stripe authentication – checking the result and finishing the booking...
+        </div>
+      )}
+      
+      {/* Resume prompt - flow saved before the last page reload */}
+      {savedFlow && !redirectReturn && (() => {
+        const lastStep = RESUME_STEPS.find(step => savedFlow.form[step.flag]);
+        const expired = savedFlow.flow.holdExpiry && savedFlow.flow.holdExpiry <= Date.now();
+        
+        return (
+          <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-md">
+            <h3 className="text-sm font-medium text-blue-800 mb-1">Resume previous booking flow?</h3>
+            <p className="text-sm text-gray-700">
+              UID {savedFlow.flow.booking.uid} ({savedFlow.flow.booking.est}), saved {new Date(savedFlow.savedAt).toLocaleTimeString()}.
+              {lastStep && <> Last completed step: <strong>{lastStep.label}</strong>.</>}
+            </p>
+            {expired && (
+              <p className="mt-1 text-sm text-yellow-800">
+                The hold has expired since then. Eveve may reject further calls
+                {settings.autoRehold && !savedFlow.form.paymentProcessed ? ' – it will be re-held on resume.' : '.'}
+              </p>
+            )}
+            {savedFlow.form.paymentProcessed && !savedFlow.form.paymentMethodAttached && (
+              <p className="mt-1 text-sm text-red-700">
+                The card was already confirmed but not attached to the booking.
+              </p>
+            )}
+            {savedFlow.logsDropped && (
+              <p className="mt-1 text-xs text-gray-500">The API log was too large to save.</p>
+            )}
+            <div className="mt-2 flex space-x-2">
+              <button
+                onClick={() => resumeSavedFlow()}
+                className="px-3 py-1 text-sm bg-blue-100 text-blue-800 hover:bg-blue-200 rounded-md transition-colors"
+              >
+                Resume
+              </button>
+              <button
+                onClick={discardSavedFlow}
+                className="px-3 py-1 text-sm bg-gray-200 text-gray-800 hover:bg-gray-300 rounded-md transition-colors"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        );
+      })()}
+      
       {/* SECTION 1: HOLD URL INPUT - Always visible */}
       <form onSubmit={handleSubmit} className="space-y-4 mb-6">
         <div>
@@ -925,6 +1313,36 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
           )}
         </div>
         
+        <HoldRequestBuilder
+          url={url}
+          onChange={(nextUrl) => {
+            setUrl(nextUrl);
+            setUrlError('');
+          }}
+          disabled={isFormDisabled}
+        />
+        
+        <div>
+          <label htmlFor="region" className="form-label">
+            Eveve Region
+          </label>
+          <select
+            id="region"
+            value={regionCode}
+            onChange={(e) => {
+              setRegionCode(e.target.value);
+              setUrlError('');
+            }}
+            className="form-input"
+            disabled={isFormDisabled}
+          >
+            <option value="auto">Auto (from HOLD URL host)</option>
+            {Object.keys(eveveApi.REGIONS).map((code) => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+        
         <div className="flex space-x-2">
           <button
             type="submit"
@@ -970,13 +1388,13 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       {/* Booking Progress Indicator - Visible after HOLD */}
       {holdComplete && (
         <div className="mb-6 p-3 bg-blue-50 rounded-md">
-          <h3 className="text-sm font-medium text-blue-800 mb-2">Booking Progress</h3>
+          <h3 className="text-sm font-medium text-blue-800 mb-2">{t('progress.title')}</h3>
           <ul className="text-sm">
             <li className="flex items-center">
               <svg className="w-4 h-4 mr-1.5 text-green-500" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
               </svg>
-              <span>Booking Hold Complete</span>
+              <span>{t('progress.hold')}</span>
             </li>
             
             <li className="flex items-center mt-1">
@@ -987,7 +1405,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                   <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
                 )}
               </svg>
-              <span>Customer Details</span>
+              <span>{t('progress.customer')}</span>
             </li>
             
             {isCardRequired() && (
@@ -1000,7 +1418,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                       <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
                     )}
                   </svg>
-                  <span>Payment Processing</span>
+                  <span>{t('progress.payment')}</span>
                 </li>
               </>
             )}
@@ -1013,7 +1431,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                   <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
                 )}
               </svg>
-              <span>Booking Completion</span>
+              <span>{t('progress.completion')}</span>
             </li>
           </ul>
         </div>
@@ -1022,28 +1440,31 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       {/* Booking Summary - Visible after HOLD */}
       {holdComplete && booking && (
         <div className="mb-6 p-4 bg-gray-50 rounded-md">
-          <h3 className="text-md font-medium text-gray-700 mb-2">Booking Summary</h3>
+          <h3 className="text-md font-medium text-gray-700 mb-2">{t('summary.title')}</h3>
           <div className="grid grid-cols-2 gap-2 text-sm">
-            <div className="text-gray-600">Restaurant:</div>
+            <div className="text-gray-600">{t('summary.restaurant')}</div>
             <div className="font-medium">{booking.est || 'TestNZA'}</div>
             
-            <div className="text-gray-600">Date:</div>
+            <div className="text-gray-600">{t('summary.date')}</div>
             <div className="font-medium">{formatBookingDate()}</div>
             
-            <div className="text-gray-600">Time:</div>
+            <div className="text-gray-600">{t('summary.time')}</div>
             <div className="font-medium">{formatBookingTime()}</div>
             
-            <div className="text-gray-600">Party Size:</div>
-            <div className="font-medium">{booking.covers || '0'} guests</div>
+            <div className="text-gray-600">{t('summary.partySize')}</div>
+            <div className="font-medium">{t('common.guests', { count: booking.covers || '0' })}</div>
             
-            <div className="text-gray-600">Booking ID:</div>
+            <div className="text-gray-600">{t('summary.bookingId')}</div>
             <div className="font-medium">{booking.uid}</div>
             
-            <div className="text-gray-600">Card Required:</div>
+            <div className="text-gray-600">{t('summary.region')}</div>
+            <div className="font-medium">{booking.region?.code}</div>
+            
+            <div className="text-gray-600">{t('summary.cardRequired')}</div>
             <div className="font-medium">
-              {booking.card === 0 ? 'No' : 
-               booking.card === 1 ? 'Yes (No-Show Protection)' : 
-               booking.card === 2 ? 'Yes (Deposit Required)' : 'Unknown'}
+              {booking.card === 0 ? t('summary.cardNo') : 
+               booking.card === 1 ? t('summary.cardNoShow') : 
+               booking.card === 2 ? t('summary.cardDeposit') : t('summary.cardUnknown')}
             </div>
           </div>
         </div>
@@ -1052,14 +1473,14 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       {/* SECTION 2: CUSTOMER DETAILS - Visible after HOLD */}
       {holdComplete && !customerDetailsComplete && (
         <div className="mb-6 p-4 border border-gray-200 rounded-md">
-          <h3 className="text-lg font-medium text-gray-800 mb-3">Customer Details</h3>
+          <h3 className="text-lg font-medium text-gray-800 mb-3">{t('customer.title')}</h3>
           
           <div className="space-y-4">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               {/* First Name */}
               <div>
                 <label htmlFor="firstName" className="form-label">
-                  First Name <span className="text-red-500">*</span>
+                  {t('customer.firstName')} <span className="text-red-500">*</span>
                 </label>
                 <input
                   id="firstName"
@@ -1068,7 +1489,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                   value={customerDetails.firstName}
                   onChange={handleCustomerDetailsChange}
                   className={`form-input ${formErrors.firstName ? 'border-red-500' : ''}`}
-                  placeholder="John"
+                  placeholder={t('customer.firstNamePlaceholder')}
                   disabled={isLoading}
                   required
                 />
@@ -1080,7 +1501,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
               {/* Last Name */}
               <div>
                 <label htmlFor="lastName" className="form-label">
-                  Last Name <span className="text-red-500">*</span>
+                  {t('customer.lastName')} <span className="text-red-500">*</span>
                 </label>
                 <input
                   id="lastName"
@@ -1089,7 +1510,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                   value={customerDetails.lastName}
                   onChange={handleCustomerDetailsChange}
                   className={`form-input ${formErrors.lastName ? 'border-red-500' : ''}`}
-                  placeholder="Smith"
+                  placeholder={t('customer.lastNamePlaceholder')}
                   disabled={isLoading}
                   required
                 />
@@ -1102,7 +1523,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
             {/* Email */}
             <div>
               <label htmlFor="email" className="form-label">
-                Email <span className="text-red-500">*</span>
+                {t('customer.email')} <span className="text-red-500">*</span>
               </label>
               <input
                 id="email"
@@ -1111,7 +1532,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                 value={customerDetails.email}
                 onChange={handleCustomerDetailsChange}
                 className={`form-input ${formErrors.email ? 'border-red-500' : ''}`}
-                placeholder="john.smith@example.com"
+                placeholder={t('customer.emailPlaceholder')}
                 disabled={isLoading}
                 required
               />
@@ -1122,7 +1543,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
             
             <div className="flex justify-between items-center">
               <p className="text-xs text-gray-500">
-                <span className="text-red-500">*</span> Required fields
+                <span className="text-red-500">*</span> {t('common.required')}
               </p>
               
               <button
@@ -1131,7 +1552,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                 className="form-button"
                 disabled={isLoading}
               >
-                {isLoading ? 'Processing...' : 'Save Customer Details'}
+                {isLoading ? t('common.processing') : t('customer.save')}
               </button>
             </div>
           </div>
@@ -1141,20 +1562,20 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       {/* SECTION 3: PAYMENT DETAILS - Visible after customer details saved */}
       {customerDetailsComplete && isCardRequired() && (
         <div className="mb-6 p-4 border border-gray-200 rounded-md">
-          <h3 className="text-lg font-medium text-gray-800 mb-3">Payment Details</h3>
+          <h3 className="text-lg font-medium text-gray-800 mb-3">{t('payment.title')}</h3>
           
           {/* Payment Type Info */}
           <div className="mb-4 p-3 bg-blue-50 rounded-md">
             <p className="text-sm text-blue-800">
               {isDepositRequired() ? (
                 <>
-                  <span className="font-semibold">Deposit Required:</span> {formatAmount(stripeContext.amount)}
-                  <span className="block mt-1 text-xs">Your card will be charged immediately.</span>
+                  <span className="font-semibold">{t('payment.depositRequired')}</span> {formatAmount(stripeContext.amount)}
+                  <span className="block mt-1 text-xs">{t('payment.depositNote')}</span>
                 </>
               ) : (
                 <>
-                  <span className="font-semibold">No-Show Protection:</span> {formatAmount(stripeContext.amount)}
-                  <span className="block mt-1 text-xs">Your card will only be charged in case of a no-show.</span>
+                  <span className="font-semibold">{t('payment.noShow')}</span> {formatAmount(stripeContext.amount)}
+                  <span className="block mt-1 text-xs">{t('payment.noShowNote')}</span>
                 </>
               )}
             </p>
@@ -1220,22 +1641,60 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
           )}
           
           {/* Card Element - Only show if we're in the right state */}
-          {flowState === FLOW_STATES.ENTERING_CARD && !paymentMethodAttached && (
+          {flowState === FLOW_STATES.ENTERING_CARD && !paymentMethodAttached && !paymentProcessed && (
             <div className="space-y-4">
+              {/* Integration toggle – both confirm against the same Eveve booking */}
+              <div>
+                <label htmlFor="element-mode" className="form-label">Stripe Integration</label>
+                <select
+                  id="element-mode"
+                  value={settings.elementMode}
+                  onChange={(e) => changeElementMode(e.target.value)}
+                  className="form-input"
+                  disabled={currentStep === 'processingPayment'}
+                >
+                  <option value="card">CardElement – confirmCardSetup / confirmCardPayment</option>
+                  <option value="payment">PaymentElement – confirmSetup / confirmPayment</option>
+                </select>
+              </div>
+              
               {/* Card Element */}
               <div>
                 <label htmlFor="card" className="form-label">
-                  Card Details <span className="text-red-500">*</span>
+                  {paymentElementMode ? t('payment.paymentDetails') : t('payment.cardDetails')} <span className="text-red-500">*</span>
                 </label>
-                <div className="StripeElement">
+                <div className={paymentElementMode && !offlineStripe ? '' : 'StripeElement'}>
                   {!stripeLoaded ? (
                     <div className="p-3 bg-gray-100 rounded border border-gray-200 text-gray-500 text-sm">
-                      Loading Stripe payment form...
+                      {t('payment.loading')}
                     </div>
+                  ) : offlineStripe ? (
+                    <MockCardElement
+                      onChange={(e) => {
+                        setCardComplete(e.complete);
+                        setMockCard(e.card);
+                        setCardError(e.error ? e.error.message : '');
+                      }}
+                    />
+                  ) : paymentElementMode ? (
+                    <StripePaymentElement
+                      key={stripeInstanceKey}
+                      stripe={stripe}
+                      clientSecret={stripeContext.clientSecret}
+                      locale={language.stripe}
+                      onElements={handleElements}
+                      onChange={(e) => {
+                        setCardComplete(e.complete);
+                        setCardError('');
+                      }}
+                    />
                   ) : (
-                    <CardElement
-                      id="card"
+                    <StripeCardElement
+                      key={stripeInstanceKey}
+                      stripe={stripe}
+                      locale={language.stripe}
                       options={cardElementOptions}
+                      onElements={handleElements}
                       onChange={(e) => {
                         setCardComplete(e.complete);
                         if (e.error) {
@@ -1251,25 +1710,43 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                   <p className="mt-1 text-sm text-red-600">{cardError}</p>
                 )}
                 
-                {/* Test Card Info */}
-                <div className="text-xs text-gray-500 p-2 bg-gray-50 rounded mt-2">
-                  <p className="font-medium mb-1">Test Cards:</p>
-                  <p>Success: 4242 4242 4242 4242</p>
-                  <p>Decline: 4000 0000 0000 0002</p>
-                  <p>Use any future date, any 3 digits for CVC, and any postal code.</p>
-                </div>
+                {/* Test cards - never offered against a live key */}
+                {!stripeApi.isLiveKey(stripeContext.publicKey) && (
+                  <TestCardPalette onSelect={setCopiedTestCard} />
+                )}
               </div>
               
               {/* Message prompting next step once card entry complete */}
               {cardComplete && (
                 <p className="text-sm text-blue-600">
-                  Card details captured. Continue to &quot;Additional Details&quot; and press&nbsp;
-                  <strong>Complete Booking</strong> to process payment and finalize your reservation.
+                  {t('payment.captured')}
                 </p>
               )}
             </div>
           )}
           
+          {/* Why the last card confirmation failed */}
+          {paymentFailure && !paymentProcessed && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm">
+              <p className="font-medium text-red-800">{t(paymentFailure.guestMessageKey)}</p>
+              <p className="mt-1 text-gray-700">{paymentFailure.explanation}</p>
+              <p className="mt-1 text-gray-700">
+                {t('paymentError.recommendedAction')} <strong>{t(paymentFailure.actionLabelKey)}</strong>
+              </p>
+              <p className="mt-1 text-xs text-gray-500 font-mono">
+                {[paymentFailure.type, paymentFailure.code, paymentFailure.decline_code].filter(Boolean).join(' · ')}
+                {' – '}{paymentFailure.message}
+              </p>
+            </div>
+          )}
+          
+          {/* Card confirmed but booking not finished (e.g. resumed after a reload) */}
+          {paymentProcessed && !paymentMethodAttached && (
+            <p className="text-sm text-blue-600">
+              {t('payment.alreadyConfirmed')}
+            </p>
+          )}
+          
           {/* Payment Success Message */}
           {paymentMethodAttached && (
             <div className="p-3 bg-green-50 text-green-800 rounded-md">
@@ -1277,10 +1754,10 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                 <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20">
                   <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
                 </svg>
-                <span className="font-medium">Payment successfully processed!</span>
+                <span className="font-medium">{t('payment.success')}</span>
               </div>
               <p className="mt-1 text-sm">
-                Please complete the additional details below to finalize your booking.
+                {t('payment.successNote')}
               </p>
             </div>
           )}
@@ -1290,32 +1767,32 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
       {/* No Card Required - Manual Proceed */}
       {customerDetailsComplete && booking && booking.card === 0 && !bookingComplete && (
         <div className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
-          <h3 className="text-sm font-medium text-yellow-800 mb-2">No Card Required</h3>
+          <h3 className="text-sm font-medium text-yellow-800 mb-2">{t('noCard.title')}</h3>
           <p className="text-sm text-gray-600 mb-2">
-            This booking doesn&apos;t require a card. You can proceed directly to additional details.
+            {t('noCard.body')}
           </p>
           <button
             onClick={proceedToUserDetails}
             disabled={isLoading}
             className="px-3 py-1 text-sm bg-blue-100 text-blue-800 hover:bg-blue-200 rounded-md transition-colors"
           >
-            Proceed to Additional Details
+            {t('noCard.proceed')}
           </button>
         </div>
       )}
       
       {/* SECTION 4: ADDITIONAL DETAILS - Visible after card entry complete or no card required */}
-{((cardComplete && isCardRequired()) || 
+{(((cardComplete || paymentProcessed) && isCardRequired()) || 
         (customerDetailsComplete && !isCardRequired())) && 
         !bookingComplete && (
         <div className="mb-6 p-4 border border-gray-200 rounded-md">
-          <h3 className="text-lg font-medium text-gray-800 mb-3">Additional Details</h3>
+          <h3 className="text-lg font-medium text-gray-800 mb-3">{t('details.title')}</h3>
           
           <div className="space-y-4">
             {/* Phone */}
             <div>
               <label htmlFor="phone" className="form-label">
-                Phone <span className="text-red-500">*</span>
+                {t('details.phone')} <span className="text-red-500">*</span>
               </label>
               <input
                 id="phone"
@@ -1324,7 +1801,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                 value={customerDetails.phone}
                 onChange={handleCustomerDetailsChange}
                 className={`form-input ${formErrors.phone ? 'border-red-500' : ''}`}
-                placeholder="+1 (555) 123-4567"
+                placeholder={t('details.phonePlaceholder')}
                 disabled={isLoading || bookingComplete}
                 required
               />
@@ -1336,7 +1813,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
             {/* Notes */}
             <div>
               <label htmlFor="notes" className="form-label">
-                Special Requests / Notes
+                {t('details.notes')}
               </label>
               <textarea
                 id="notes"
@@ -1345,7 +1822,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                 onChange={handleCustomerDetailsChange}
                 className="form-input"
                 rows="2"
-                placeholder="Any special requests for your booking"
+                placeholder={t('details.notesPlaceholder')}
                 disabled={isLoading || bookingComplete}
               />
             </div>
@@ -1354,7 +1831,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
                 <label htmlFor="dietary" className="form-label">
-                  Dietary Requirements
+                  {t('details.dietary')}
                 </label>
                 <input
                   id="dietary"
@@ -1363,14 +1840,14 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                   value={customerDetails.dietary}
                   onChange={handleCustomerDetailsChange}
                   className="form-input"
-                  placeholder="Vegetarian, vegan, etc."
+                  placeholder={t('details.dietaryPlaceholder')}
                   disabled={isLoading || bookingComplete}
                 />
               </div>
               
               <div>
                 <label htmlFor="allergies" className="form-label">
-                  Allergies
+                  {t('details.allergies')}
                 </label>
                 <input
                   id="allergies"
@@ -1379,7 +1856,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                   value={customerDetails.allergies}
                   onChange={handleCustomerDetailsChange}
                   className="form-input"
-                  placeholder="Nuts, dairy, gluten, etc."
+                  placeholder={t('details.allergiesPlaceholder')}
                   disabled={isLoading || bookingComplete}
                 />
               </div>
@@ -1400,22 +1877,37 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
               </div>
               <div className="ml-3 text-sm">
                 <label htmlFor="optem" className="font-medium text-gray-700">
-                  Email marketing
+                  {t('details.marketing')}
                 </label>
                 <p className="text-gray-500">
-                  I would like to receive special offers and updates via email.
+                  {t('details.marketingNote')}
                 </p>
               </div>
             </div>
             
+            {/* Hold Lapsed */}
+            {holdInvalid && (
+              <div className="p-4 bg-red-50 text-red-800 rounded-md">
+                <div className="flex items-center">
+                  <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                  </svg>
+                  <span className="font-medium">{t('details.holdInvalid')}</span>
+                </div>
+                <p className="mt-1 text-sm">
+                  {t('details.holdInvalidNote', { uid: booking?.uid })}
+                </p>
+              </div>
+            )}
+            
             {/* Form Error */}
-            {formErrors.submit && (
+            {formErrors.submit && !holdInvalid && (
               <div className="p-4 bg-red-50 text-red-800 rounded-md">
                 <div className="flex items-center">
                   <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20">
                     <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
                   </svg>
-                  <span className="font-medium">Error:</span>
+                  <span className="font-medium">{t('details.error')}</span>
                   <span className="ml-1">{formErrors.submit}</span>
                 </div>
               </div>
@@ -1427,9 +1919,9 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
                 type="button"
                 onClick={completeBooking}
                 className="form-button"
-                disabled={isLoading || bookingComplete}
+                disabled={isLoading || bookingComplete || holdInvalid}
               >
-                {isLoading ? 'Processing...' : 'Complete Booking'}
+                {isLoading ? t('common.processing') : t('details.complete')}
               </button>
             </div>
           </div>
@@ -1443,28 +1935,28 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
             <svg className="w-6 h-6 mr-2" fill="currentColor" viewBox="0 0 20 20">
               <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
             </svg>
-            <h3 className="text-lg font-semibold">Booking Successfully Completed!</h3>
+            <h3 className="text-lg font-semibold">{t('done.title')}</h3>
           </div>
           
           <div className="p-4 bg-white rounded-md mb-3">
-            <h4 className="font-medium mb-2">Booking Details:</h4>
-            <p><strong>Name:</strong> {customerDetails.firstName} {customerDetails.lastName}</p>
-            <p><strong>Email:</strong> {customerDetails.email}</p>
-            <p><strong>Phone:</strong> {customerDetails.phone}</p>
-            <p><strong>Date:</strong> {formatBookingDate()}</p>
-            <p><strong>Time:</strong> {formatBookingTime()}</p>
-            <p><strong>Party Size:</strong> {booking?.covers || '0'} guests</p>
-            <p><strong>Booking ID:</strong> {booking?.uid}</p>
+            <h4 className="font-medium mb-2">{t('done.details')}</h4>
+            <p><strong>{t('done.name')}</strong> {customerDetails.firstName} {customerDetails.lastName}</p>
+            <p><strong>{t('done.email')}</strong> {customerDetails.email}</p>
+            <p><strong>{t('done.phone')}</strong> {customerDetails.phone}</p>
+            <p><strong>{t('done.date')}</strong> {formatBookingDate()}</p>
+            <p><strong>{t('done.time')}</strong> {formatBookingTime()}</p>
+            <p><strong>{t('done.partySize')}</strong> {t('common.guests', { count: booking?.covers || '0' })}</p>
+            <p><strong>{t('done.bookingId')}</strong> {booking?.uid}</p>
             
             {isCardRequired() && (
-              <p><strong>Payment:</strong> {isDepositRequired() 
-                ? `Deposit of ${formatAmount(stripeContext.amount)} charged` 
-                : 'Card stored for no-show protection'}</p>
+              <p><strong>{t('done.payment')}</strong> {isDepositRequired() 
+                ? t('done.depositCharged', { amount: formatAmount(stripeContext.amount) }) 
+                : t('done.cardStored')}</p>
             )}
           </div>
           
           <p className="text-sm">
-            A confirmation email has been sent to {customerDetails.email}. Please check your inbox for booking details.
+            {t('done.emailSent', { email: customerDetails.email })}
           </p>
         </div>
       )}
@@ -1474,7 +1966,7 @@ const UnifiedBookingForm = ({ stripeLoaded }) => {
         <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
         </svg>
-        Secure booking powered by Eveve & Stripe
+        {t('secure')}
       </div>
     </div>
   );
@@ -1,17 +1,12 @@
 /* eslint-disable react-refresh/only-export-components */
 import { createContext, useContext, useReducer, useCallback } from 'react';
+import { startNewRun } from '../api/run';
+import { formatMoney } from '../api/money';
+import { getLanguage } from '../i18n';
+import { FLOW_STATES } from './flowStates';
 
-// Flow states
-export const FLOW_STATES = {
-  IDLE: 'idle',
-  HOLDING: 'holding',
-  AWAITING_STRIPE: 'awaitingStripe',
-  ENTERING_CARD: 'enteringCard',
-  CARD_CONFIRMED: 'cardConfirmed',
-  COLLECTING_USER: 'collectingUser',
-  COMPLETED: 'completed',
-  ERROR: 'error'
-};
+// Flow states (defined in flowStates.js so the api modules need not import React)
+export { FLOW_STATES };
 
 // Action types
 const ActionTypes = {
@@ -22,46 +17,103 @@ const ActionTypes = {
   ADD_LOG: 'ADD_LOG',
   CLEAR_LOGS: 'CLEAR_LOGS',
   RESET_STATE: 'RESET_STATE',
+  RESET_BOOKING: 'RESET_BOOKING',
   SET_ERROR: 'SET_ERROR',
   SET_PAYMENT_METHOD: 'SET_PAYMENT_METHOD',
   SET_CUSTOMER_DETAILS: 'SET_CUSTOMER_DETAILS',
+  SET_SETTINGS: 'SET_SETTINGS',
+  CLEAR_CONTRACT_VIOLATIONS: 'CLEAR_CONTRACT_VIOLATIONS',
+  HYDRATE_STATE: 'HYDRATE_STATE',
+  SET_VIEWING_RUN: 'SET_VIEWING_RUN',
+  SET_LOG_FOCUS: 'SET_LOG_FOCUS',
 };
 
 // Initial state
 const initialState = {
-  booking: null, // { uid, created, card, perHead, ... }
+  booking: null, // { uid, created, card, perHead, region, ... }
   stripe: {
     clientSecret: null,
     publicKey: null,
+    account: null, // Stripe Connect account from pi-get, null for the platform account
     cust: null,
     paymentType: null, // 'deposit' or 'noshow'
   },
   paymentMethod: null, // Stripe payment method ID after card entry
   flowState: FLOW_STATES.IDLE,
-  logs: [], // [{ timestamp, label, request, response, error? }]
+  // Flow state changes of the current run, for the timeline view
+  flowTransitions: [], // [{ timestamp, from, to }]
+  logs: [], // [{ id, timestamp, label, request, response, error?, violations? }]
+  // Eveve response schema violations seen this session – kept across RESET_STATE
+  contractViolations: [], // [{ timestamp, endpoint, label, field, kind, message }]
   error: null,
-  // Timestamp (ms) at which the 3-minute booking hold expires.
+  // Archived run whose logs LogDisplay shows instead of the live log (see runHistory.js)
+  viewingRun: null,
+  // Log entry id LogDisplay should scroll to (e.g. from the scenario runner)
+  logFocus: null,
+  // Timestamp (ms) at which the booking hold expires, and where that came from
   holdExpiry: null,
+  holdExpirySource: null, // 'until' | 'created' | 'client'
   // Customer details collected after HOLD but before payment
   customerDetails: {
     firstName: '',
     lastName: '',
     email: '',
   },
+  // Developer settings – kept across RESET_STATE
+  settings: {
+    eveveMock: null, // mock Eveve scenario key, null = live hosts
+    stripeMock: false, // true = offline Stripe stand-in instead of Stripe.js
+    replay: null, // { name, entries } while a HAR file is being replayed
+    autoRehold: false, // true = issue a fresh hold when the current one expires
+    persistSecrets: false, // true = keep Stripe client secrets in the sessionStorage snapshot
+    elementMode: 'card', // 'card' = CardElement + confirmCard*, 'payment' = PaymentElement + confirmSetup/confirmPayment
+  },
+};
+
+// Eveve holds last 3 minutes from `created` unless the response says otherwise
+const HOLD_DURATION_MS = 3 * 60 * 1000;
+
+// `until` may be unix seconds, unix ms or a date string; '' means not set
+const parseUntil = (until) => {
+  if (until === undefined || until === null || until === '') return null;
+  if (/^\d+$/.test(String(until))) {
+    const value = Number(until);
+    return value < 1e12 ? value * 1000 : value;
+  }
+  const parsed = Date.parse(until);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Work out when a hold expires from the HOLD response
+ * @param {Object} booking - Booking data ({ created, until, ... })
+ * @param {boolean} replaying - True while replaying a HAR (recorded timestamps are historic)
+ * @returns {Object} - { holdExpiry, holdExpirySource }
+ */
+const computeHoldExpiry = (booking, replaying) => {
+  const until = replaying ? null : parseUntil(booking.until);
+  if (until) {
+    return { holdExpiry: until, holdExpirySource: 'until' };
+  }
+  if (!replaying && booking.created) {
+    return { holdExpiry: booking.created * 1000 + HOLD_DURATION_MS, holdExpirySource: 'created' };
+  }
+  return { holdExpiry: Date.now() + HOLD_DURATION_MS, holdExpirySource: 'client' };
 };
 
+// Log entry ids – unique across reloads so persisted logs do not collide
+let logSequence = 0;
+const createLogId = () => `${Date.now().toString(36)}-${++logSequence}`;
+
 // Reducer function
 function flowReducer(state, action) {
   switch (action.type) {
-    case ActionTypes.SET_BOOKING: {
-      // Re-establish a 3-minute hold-expiry timer (display-only).
-      const holdExpiry = Date.now() + 3 * 60 * 1000; // 3 minutes in ms
+    case ActionTypes.SET_BOOKING:
       return {
         ...state,
         booking: action.payload,
-        holdExpiry,
+        ...computeHoldExpiry(action.payload, !!state.settings.replay),
       };
-    }
       
     case ActionTypes.SET_STRIPE_KEYS:
       return {
@@ -70,6 +122,7 @@ function flowReducer(state, action) {
           ...state.stripe,
           clientSecret: action.payload.clientSecret,
           publicKey: action.payload.publicKey,
+          account: action.payload.account || null,
           cust: action.payload.cust,
         },
       };
@@ -91,10 +144,27 @@ function flowReducer(state, action) {
         flowState: action.payload,
       };
       
-    case ActionTypes.ADD_LOG:
+    case ActionTypes.ADD_LOG: {
+      const entry = { timestamp: new Date().toISOString(), ...action.payload };
+      const violations = (entry.violations || []).map(violation => ({
+        timestamp: entry.timestamp,
+        endpoint: entry.endpoint,
+        label: entry.label,
+        ...violation,
+      }));
       return {
         ...state,
-        logs: [...state.logs, { timestamp: new Date().toISOString(), ...action.payload }],
+        logs: [...state.logs, entry],
+        contractViolations: violations.length > 0
+          ? [...state.contractViolations, ...violations]
+          : state.contractViolations,
+      };
+    }
+      
+    case ActionTypes.CLEAR_CONTRACT_VIOLATIONS:
+      return {
+        ...state,
+        contractViolations: [],
       };
       
     case ActionTypes.CLEAR_LOGS:
@@ -125,20 +195,91 @@ function flowReducer(state, action) {
         },
       };
     
+    case ActionTypes.SET_SETTINGS:
+      return {
+        ...state,
+        settings: {
+          ...state.settings,
+          ...action.payload,
+        },
+      };
+    
+    case ActionTypes.SET_LOG_FOCUS:
+      return {
+        ...state,
+        logFocus: action.payload,
+      };
+    
+    case ActionTypes.SET_VIEWING_RUN:
+      return {
+        ...state,
+        viewingRun: action.payload,
+      };
+    
+    // Restore a flow saved before a page reload (see flowPersistence.js)
+    case ActionTypes.HYDRATE_STATE:
+      return {
+        ...state,
+        ...action.payload,
+        stripe: {
+          ...initialState.stripe,
+          ...action.payload.stripe,
+        },
+        settings: {
+          ...state.settings,
+          ...action.payload.settings,
+        },
+      };
+    
     case ActionTypes.RESET_STATE:
-      return initialState;
+      return {
+        ...initialState,
+        settings: state.settings,
+        contractViolations: state.contractViolations,
+      };
+      
+    // Like RESET_STATE but the log (and what LogDisplay shows) is kept
+    case ActionTypes.RESET_BOOKING:
+      return {
+        ...initialState,
+        settings: state.settings,
+        contractViolations: state.contractViolations,
+        logs: state.logs,
+        viewingRun: state.viewingRun,
+        logFocus: state.logFocus,
+      };
       
     default:
       return state;
   }
 }
 
+// Record every flow state change of a run; restored and reset state bring their own list
+function recordingReducer(state, action) {
+  const next = flowReducer(state, action);
+  if (
+    next.flowState === state.flowState ||
+    action.type === ActionTypes.HYDRATE_STATE ||
+    action.type === ActionTypes.RESET_STATE ||
+    action.type === ActionTypes.RESET_BOOKING
+  ) {
+    return next;
+  }
+  return {
+    ...next,
+    flowTransitions: [
+      ...next.flowTransitions,
+      { timestamp: new Date().toISOString(), from: state.flowState, to: next.flowState },
+    ],
+  };
+}
+
 // Create context
 export const FlowContext = createContext();
 
 // Context provider component
 export function FlowProvider({ children }) {
-  const [state, dispatch] = useReducer(flowReducer, initialState);
+  const [state, dispatch] = useReducer(recordingReducer, initialState);
   
   // Action creators
   const setBooking = useCallback((bookingData) => {
@@ -157,14 +298,21 @@ export function FlowProvider({ children }) {
     dispatch({ type: ActionTypes.SET_FLOW_STATE, payload: newState });
   }, [dispatch]);
   
+  // Returns the new entry's id so callers can point at it later
   const addLog = useCallback((logData) => {
-    dispatch({ type: ActionTypes.ADD_LOG, payload: logData });
+    const id = createLogId();
+    dispatch({ type: ActionTypes.ADD_LOG, payload: { id, ...logData } });
+    return id;
   }, [dispatch]);
   
   const clearLogs = useCallback(() => {
     dispatch({ type: ActionTypes.CLEAR_LOGS });
   }, [dispatch]);
   
+  const clearContractViolations = useCallback(() => {
+    dispatch({ type: ActionTypes.CLEAR_CONTRACT_VIOLATIONS });
+  }, [dispatch]);
+  
   const setError = useCallback((error) => {
     dispatch({ type: ActionTypes.SET_ERROR, payload: error });
   }, [dispatch]);
@@ -177,21 +325,52 @@ export function FlowProvider({ children }) {
     dispatch({ type: ActionTypes.SET_CUSTOMER_DETAILS, payload: details });
   }, [dispatch]);
   
+  const setSettings = useCallback((settings) => {
+    dispatch({ type: ActionTypes.SET_SETTINGS, payload: settings });
+  }, [dispatch]);
+  
+  const hydrateState = useCallback((flow) => {
+    dispatch({ type: ActionTypes.HYDRATE_STATE, payload: flow });
+  }, [dispatch]);
+  
+  const setLogFocus = useCallback((logId) => {
+    dispatch({ type: ActionTypes.SET_LOG_FOCUS, payload: logId });
+  }, [dispatch]);
+  
+  const setViewingRun = useCallback((run) => {
+    dispatch({ type: ActionTypes.SET_VIEWING_RUN, payload: run });
+  }, [dispatch]);
+  
+  // Reset also cancels every request still in flight for the old run
   const resetState = useCallback(() => {
+    startNewRun();
     dispatch({ type: ActionTypes.RESET_STATE });
   }, [dispatch]);
   
+  // Start a new run with a clean booking but keep the log (the scenario runner runs
+  // every scenario as its own run)
+  const resetBooking = useCallback(() => {
+    startNewRun();
+    dispatch({ type: ActionTypes.RESET_BOOKING });
+  }, [dispatch]);
+  
   // Log API call helper
-  const logApiCall = useCallback((label, request, response, error = null) => {
+  // meta: { group, attempt, retrying, recoverable, endpoint, violations } – attempts of one request share
+  // a group; a failed attempt that will be retried, or a recoverable failure the caller handles
+  // (e.g. a card decline), does not put the flow into ERROR.
+  const logApiCall = useCallback((label, request, response, error = null, meta = {}) => {
+    const { retrying = false, recoverable = false, ...groupInfo } = meta;
+    
     addLog({
       label,
       request,
       response,
       error,
-      status: error ? 'error' : 'success',
+      status: retrying ? 'retry' : error ? 'error' : 'success',
+      ...groupInfo,
     });
     
-    if (error) {
+    if (error && !retrying && !recoverable) {
       setError(error);
     }
   }, [addLog, setError]);
@@ -206,7 +385,7 @@ export function FlowProvider({ children }) {
     return state.stripe.paymentType === 'deposit';
   };
   
-  // Time remaining (ms) before the 3-minute hold expires.
+  // Time remaining (ms) before the hold expires.
   const getHoldTimeRemaining = () => {
     if (!state.holdExpiry) return null;
     const remaining = state.holdExpiry - Date.now();
@@ -214,11 +393,10 @@ export function FlowProvider({ children }) {
   };
   
   // Calculate time remaining for hold expiry
-  // Format currency amount (cents to dollars)
-  const formatAmount = (cents) => {
-    if (!cents) return '$0.00';
-    return `$${(cents / 100).toFixed(2)}`;
-  };
+  // Format an amount in the smallest currency unit, in the deposit-get currency unless given,
+  // for the booking language
+  const formatAmount = (amount, currency = state.stripe.currency) =>
+    formatMoney(amount, currency, getLanguage(state.booking?.lng).locale);
   
   // Value object to be provided by context
   const value = {
@@ -229,11 +407,17 @@ export function FlowProvider({ children }) {
     setFlowState,
     addLog,
     clearLogs,
+    clearContractViolations,
+    hydrateState,
+    setViewingRun,
+    setLogFocus,
     logApiCall,
     setError,
     setPaymentMethod,
     setCustomerDetails,
+    setSettings,
     resetState,
+    resetBooking,
     isCardRequired,
     isDepositRequired,
     getHoldTimeRemaining,
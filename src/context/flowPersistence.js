@@ -0,0 +1,126 @@
+/**
+ * sessionStorage persistence for an in-progress booking flow.
+ *
+ * A reload mid-flow would otherwise lose the booking (a live hold, possibly a
+ * charged card) along with the form's step flags. The snapshot holds the
+ * FlowContext fields needed to carry on plus the form's own state; Stripe
+ * client secrets are stripped unless the user opts in.
+ */
+
+const STORAGE_KEY = 'stripe-eveve-flow';
+const SNAPSHOT_VERSION = 1;
+
+// Keys whose values are never written unless secrets are opted in
+const SECRET_KEYS = ['clientSecret', 'client_secret'];
+const REDACTED = '[not persisted]';
+
+// Replace secret values anywhere in a JSON-safe value
+const stripSecrets = (value) => {
+  if (value instanceof Error) return value;
+  if (Array.isArray(value)) return value.map(stripSecrets);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+      key,
+      SECRET_KEYS.includes(key) && inner ? REDACTED : stripSecrets(inner),
+    ]));
+  }
+  return value;
+};
+
+// Errors stringify to {} – keep what the log view shows
+const errorReplacer = (key, value) => (
+  value instanceof Error
+    ? { name: value.name, message: value.message, code: value.code }
+    : value
+);
+
+const serialize = (snapshot) => JSON.stringify(snapshot, errorReplacer);
+
+/**
+ * Deep-copy a value as plain JSON, keeping Error name/message/code
+ * @param {*} value - Value to copy (e.g. the log array)
+ * @returns {*} - JSON-safe copy
+ */
+export const toJsonSafe = (value) => JSON.parse(JSON.stringify(value, errorReplacer));
+
+/**
+ * Build a snapshot from FlowContext state and the form's local state
+ * @param {Object} flow - FlowContext fields (booking, stripe, paymentMethod, flowState, logs, customerDetails, holdExpiry, settings, ...)
+ * @param {Object} form - Form state (step flags, customer details, url, regionCode)
+ * @param {boolean} includeSecrets - Keep Stripe client secrets in the snapshot
+ * @returns {Object} - Snapshot ready for saveFlow
+ */
+export const createSnapshot = (flow, form, includeSecrets = false) => {
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    savedAt: Date.now(),
+    secretsIncluded: includeSecrets,
+    flow,
+    form,
+  };
+  return includeSecrets ? snapshot : stripSecrets(snapshot);
+};
+
+/**
+ * Write a snapshot to sessionStorage; retries without logs if it is too large
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {boolean} - True when the snapshot was stored
+ */
+export const saveFlow = (snapshot) => {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, serialize(snapshot));
+    return true;
+  } catch (error) {
+    try {
+      const withoutLogs = { ...snapshot, flow: { ...snapshot.flow, logs: [] }, logsDropped: true };
+      sessionStorage.setItem(STORAGE_KEY, serialize(withoutLogs));
+      return true;
+    } catch (retryError) {
+      console.warn('Unable to persist booking flow', retryError);
+      return false;
+    }
+  }
+};
+
+/**
+ * Read the stored snapshot
+ * @returns {Object|null} - Snapshot, or null when none is stored or it is unreadable
+ */
+export const loadFlow = () => {
+  try {
+    const raw = sessionStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+
+    const snapshot = JSON.parse(raw);
+    return snapshot?.version === SNAPSHOT_VERSION && snapshot.flow?.booking ? snapshot : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remove the stored snapshot
+ */
+export const clearFlow = () => {
+  try {
+    sessionStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Storage unavailable – nothing to clear
+  }
+};
+
+/**
+ * Check whether a value was stripped from the snapshot
+ * @param {*} value - Value read back from a snapshot
+ * @returns {boolean} - True for redacted secrets
+ */
+export const isRedacted = (value) => value === REDACTED;
+
+export default {
+  toJsonSafe,
+  createSnapshot,
+  saveFlow,
+  loadFlow,
+  clearFlow,
+  isRedacted,
+};
@@ -0,0 +1,21 @@
+/**
+ * Booking flow states.
+ *
+ * Kept apart from FlowContext (which re-exports them) so the api modules
+ * can share them without importing React.
+ */
+
+export const FLOW_STATES = {
+  IDLE: 'idle',
+  HOLDING: 'holding',
+  AWAITING_STRIPE: 'awaitingStripe',
+  ENTERING_CARD: 'enteringCard',
+  CARD_CONFIRMED: 'cardConfirmed',
+  COLLECTING_USER: 'collectingUser',
+  COMPLETED: 'completed',
+  ERROR: 'error'
+};
+
+export default {
+  FLOW_STATES,
+};
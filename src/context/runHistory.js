@@ -0,0 +1,122 @@
+/**
+ * Run history archive in IndexedDB.
+ *
+ * Each finished (or abandoned) booking run is stored with its hold
+ * parameters, outcome and full log so it survives Reset and reloads.
+ */
+
+import { redact } from '../api/redaction';
+
+const DB_NAME = 'stripe-eveve-history';
+const DB_VERSION = 1;
+const STORE = 'runs';
+
+export const RUN_OUTCOMES = {
+  completed: 'Completed',
+  failed: 'Failed',
+  abandoned: 'Abandoned',
+};
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Open (and on first use create) the database
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('savedAt', 'savedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run a callback against the object store inside one transaction
+const withStore = async (mode, callback) => {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await callback(tx.objectStore(STORE));
+  await done;
+  return result;
+};
+
+/**
+ * Create a new run id
+ * @returns {string} - Unique id for a history record
+ */
+export const createRunId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Insert or replace a run record
+ * @param {Object} run - Run record ({ id, savedAt, est, holdParams, uid, outcome, logs, ... })
+ * @returns {Promise<string>} - The record id
+ */
+export const saveRun = (run) => withStore('readwrite', store => promisify(store.put(run)));
+
+/**
+ * List every stored run, newest first
+ * @returns {Promise<Array<Object>>} - Run records
+ */
+export const listRuns = async () => {
+  const runs = await withStore('readonly', store => promisify(store.getAll()));
+  return runs.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Delete runs by id
+ * @param {Array<string>} ids - Record ids
+ * @returns {Promise<void>}
+ */
+export const deleteRuns = (ids) => withStore('readwrite', store => Promise.all(
+  ids.map(id => promisify(store.delete(id)))
+));
+
+/**
+ * Download runs as a JSON file
+ * @param {Array<Object>} runs - Run records to export
+ * @param {string} level - Redaction level for the archived logs (see redaction.js)
+ */
+export const exportRuns = (runs, level = 'strict') => {
+  try {
+    const blob = new Blob([JSON.stringify(redact(runs, level), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `eveve-stripe-history-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Failed to export run history:', error);
+  }
+};
+
+export default {
+  RUN_OUTCOMES,
+  createRunId,
+  saveRun,
+  listRuns,
+  deleteRuns,
+  exportRuns,
+};
@@ -0,0 +1,46 @@
+/**
+ * sessionStorage persistence for the scenario runner's own scenarios.
+ *
+ * The custom list (HOLD URLs plus their `expect` lines) is typed in by hand,
+ * so a reload must not throw it away along with the runner's other state.
+ */
+
+const STORAGE_KEY = 'stripe-eveve-scenarios';
+const STORE_VERSION = 1;
+
+/**
+ * Write the runner's scenario source and custom list
+ * @param {Object} scenarios - { source: 'samples' | 'custom', customList: string }
+ * @returns {boolean} - True when the scenarios were stored
+ */
+export const saveScenarios = ({ source, customList }) => {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORE_VERSION, source, customList }));
+    return true;
+  } catch (error) {
+    console.warn('Unable to persist custom scenarios', error);
+    return false;
+  }
+};
+
+/**
+ * Read the stored scenarios
+ * @returns {Object|null} - { source, customList }, or null when none are stored or they are unreadable
+ */
+export const loadScenarios = () => {
+  try {
+    const raw = sessionStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+
+    const stored = JSON.parse(raw);
+    if (stored?.version !== STORE_VERSION || typeof stored.customList !== 'string') return null;
+    return { source: stored.source === 'custom' ? 'custom' : 'samples', customList: stored.customList };
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  saveScenarios,
+  loadScenarios,
+};
@@ -1,5 +1,6 @@
 import { useCallback } from 'react';
 import { useFlow } from '../context/FlowContext';
+import { redact } from '../api/redaction';
 
 /**
  * Custom hook for structured logging with formatting and utility functions
@@ -40,23 +41,25 @@ const useLogger = () => {
   /**
    * Copy a log entry to clipboard as formatted JSON
    * @param {Object} log - Log entry to copy
+   * @param {string} level - Redaction level ('strict', 'display' or 'reveal'), see redaction.js
    * @returns {Promise<boolean>} - Success status
    */
-  const copyLogToClipboard = useCallback(async (log) => {
-    const logText = formatJson(log);
+  const copyLogToClipboard = useCallback(async (log, level = 'strict') => {
+    const logText = formatJson(redact(log, level));
     return copyToClipboard(logText);
   }, [formatJson, copyToClipboard]);
 
   /**
    * Copy a request as cURL command
    * @param {Object} requestData - Request data from log
+   * @param {string} level - Redaction level for the parameters (dropped fields are left out)
    * @returns {Promise<boolean>} - Success status
    */
-  const copyAsCurl = useCallback(async (requestData) => {
+  const copyAsCurl = useCallback(async (requestData, level = 'strict') => {
     if (!requestData || !requestData.url) return false;
     
     try {
-      const { url, method = 'GET', params } = requestData;
+      const { url, method = 'GET', params } = redact(requestData, level);
       
       // Build the base URL with query params if it's a GET request
       let fullUrl = url;
@@ -88,10 +91,11 @@ const useLogger = () => {
 
   /**
    * Export all logs as JSON file
+   * @param {string} level - Redaction level; strict unless the tester picks otherwise
    */
-  const exportLogs = useCallback(() => {
+  const exportLogs = useCallback((level = 'strict') => {
     try {
-      const logsJson = JSON.stringify(logs, null, 2);
+      const logsJson = JSON.stringify(redact(logs, level), null, 2);
       const blob = new Blob([logsJson], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       
@@ -125,9 +129,10 @@ const useLogger = () => {
    * Log an informational message
    * @param {string} message - Info message
    * @param {Object} data - Additional data (optional)
+   * @returns {string} - Log entry id
    */
   const logInfo = useCallback((message, data = null) => {
-    addLog({
+    return addLog({
       label: 'INFO',
       message,
       data,
@@ -139,9 +144,10 @@ const useLogger = () => {
    * Log a success message
    * @param {string} message - Success message
    * @param {Object} data - Additional data (optional)
+   * @returns {string} - Log entry id
    */
   const logSuccess = useCallback((message, data = null) => {
-    addLog({
+    return addLog({
       label: 'SUCCESS',
       message,
       data,
@@ -153,9 +159,10 @@ const useLogger = () => {
    * Log an error message
    * @param {string} message - Error message
    * @param {Object} error - Error details (optional)
+   * @returns {string} - Log entry id
    */
   const logError = useCallback((message, error = null) => {
-    addLog({
+    return addLog({
       label: 'ERROR',
       message,
       error,
@@ -165,7 +172,7 @@ const useLogger = () => {
 
   /**
    * Get CSS class for log status
-   * @param {string} status - Log status ('success', 'error', 'info')
+   * @param {string} status - Log status ('success', 'error', 'info', 'retry')
    * @returns {string} - CSS class name
    */
   const getLogStatusClass = useCallback((status) => {
@@ -173,6 +180,7 @@ const useLogger = () => {
       case 'success': return 'api-log success';
       case 'error': return 'api-log error';
       case 'info': return 'api-log info';
+      case 'retry': return 'api-log retry';
       default: return 'api-log';
     }
   }, []);
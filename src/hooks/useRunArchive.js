@@ -0,0 +1,90 @@
+import { useEffect, useRef } from 'react';
+import { useFlow, FLOW_STATES } from '../context/FlowContext';
+import { getCurrentRun } from '../api/run';
+import { toJsonSafe } from '../context/flowPersistence';
+import * as runHistory from '../context/runHistory';
+
+// HOLD parameters kept on a booking (see processHold)
+const HOLD_PARAM_KEYS = ['est', 'lng', 'covers', 'date', 'time', 'area', 'event'];
+
+/**
+ * Build a history record from a run's flow data
+ * @param {Object} run - { booking, stripe, logs, error, flowTransitions, holdExpiry }
+ * @param {string} id - History record id
+ * @param {string} outcome - Key of RUN_OUTCOMES
+ * @returns {Object} - Record for runHistory.saveRun
+ */
+const buildRecord = ({ booking, stripe, logs, error, flowTransitions, holdExpiry }, id, outcome) => {
+  // Without a booking (HOLD itself failed) take the parameters from the logged request
+  const holdRequest = logs.find(log => log.request?.url?.includes('/web/hold'))?.request?.params;
+  const holdParams = booking
+    ? Object.fromEntries(HOLD_PARAM_KEYS.filter(key => booking[key] !== undefined).map(key => [key, booking[key]]))
+    : holdRequest || null;
+
+  const startedAt = logs.length ? Date.parse(logs[0].timestamp) : Date.now();
+  const endedAt = logs.length ? Date.parse(logs[logs.length - 1].timestamp) : startedAt;
+
+  return {
+    id,
+    savedAt: Date.now(),
+    est: holdParams?.est || null,
+    holdParams,
+    region: booking?.region?.code || null,
+    uid: booking?.uid || null,
+    paymentType: stripe.paymentType,
+    amount: stripe.amount ?? null,
+    currency: stripe.currency ?? null,
+    outcome,
+    error: error?.message || null,
+    startedAt,
+    durationMs: endedAt - startedAt,
+    logs: toJsonSafe(logs),
+    // For the timeline view
+    flowTransitions,
+    holdExpiry,
+  };
+};
+
+/**
+ * Archive every run to the IndexedDB run history: completed and failed runs
+ * when they end, and runs left mid-flow when Reset or a new HOLD replaces them
+ */
+const useRunArchive = () => {
+  const { flowState, booking, stripe, logs, error, flowTransitions, holdExpiry } = useFlow();
+
+  // Latest data of the run being watched, so it can still be archived after Reset clears it
+  const latestRef = useRef(null);
+  // Record id / outcome already written for a run
+  const archivedRef = useRef({ runId: null, id: null, outcome: null });
+
+  useEffect(() => {
+    const runId = getCurrentRun().id;
+    const previous = latestRef.current;
+
+    const archive = (run, outcome) => {
+      const id = archivedRef.current.runId === run.runId ? archivedRef.current.id : runHistory.createRunId();
+      archivedRef.current = { runId: run.runId, id, outcome };
+      runHistory.saveRun(buildRecord(run, id, outcome)).catch((archiveError) => {
+        console.warn('Unable to archive run', archiveError);
+      });
+    };
+
+    // The previous run was replaced before it finished (only if it got as far as an API call)
+    const previousStarted = previous && (previous.booking || previous.logs.some(log => log.request));
+    if (previousStarted && previous.runId !== runId && archivedRef.current.runId !== previous.runId) {
+      archive(previous, 'abandoned');
+    }
+
+    const current = { runId, booking, stripe, logs, error, flowTransitions, holdExpiry };
+    latestRef.current = current;
+
+    // Finished runs are (re)written while they stay finished so trailing log entries are kept
+    if (flowState === FLOW_STATES.COMPLETED) {
+      archive(current, 'completed');
+    } else if (flowState === FLOW_STATES.ERROR) {
+      archive(current, 'failed');
+    }
+  }, [flowState, booking, stripe, logs, error, flowTransitions, holdExpiry]);
+};
+
+export default useRunArchive;
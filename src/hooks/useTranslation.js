@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import { useFlow } from '../context/FlowContext';
+import { getLanguage, translate } from '../i18n';
+
+/**
+ * Translations for the current booking's HOLD lng (English before a hold)
+ * @returns {Object} - { t, language } where t(key, params) returns the message
+ */
+const useTranslation = () => {
+  const { booking } = useFlow();
+  const lng = booking?.lng;
+
+  const t = useCallback((key, params) => translate(lng, key, params), [lng]);
+
+  return { t, language: getLanguage(lng) };
+};
+
+export default useTranslation;
@@ -0,0 +1,172 @@
+/**
+ * German messages
+ */
+const de = {
+  status: {
+    idle: 'Bereit',
+    holding: 'Reservierung wird vorgemerkt...',
+    awaitingStripe: 'Stripe-Schlüssel werden abgerufen...',
+    enteringCard: 'Zahlungsdaten eingeben',
+    cardConfirmed: 'Karte bestätigt',
+    collectingUser: 'Kontaktdaten eingeben',
+    completed: 'Reservierung abgeschlossen',
+    error: 'Fehler',
+  },
+  header: {
+    status: 'Status:',
+    expiredWarning: 'Die Zeit ist abgelaufen. Wenn Sie fortfahren, ohne zurückzusetzen oder abzuschließen, kann ein Fehler auftreten.',
+  },
+  app: {
+    completedTitle: 'Reservierung abgeschlossen!',
+    completedBody: 'Ihre Testreservierung wurde erfolgreich verarbeitet und abgeschlossen.',
+    completedLogs: 'Im Protokoll unten finden Sie alle API-Aufrufe und Antworten im Detail.',
+    errorTitle: 'Fehler aufgetreten',
+    errorBody: 'Bei der Reservierung ist ein Fehler aufgetreten.',
+    errorLogs: 'Details finden Sie im Protokoll unten. Bitte versuchen Sie es erneut.',
+  },
+  common: {
+    processing: 'Wird verarbeitet...',
+    required: 'Pflichtfelder',
+    guests: { one: '{count} Person', other: '{count} Personen' },
+  },
+  progress: {
+    title: 'Reservierungsfortschritt',
+    hold: 'Reservierung vorgemerkt',
+    customer: 'Kontaktdaten',
+    payment: 'Zahlungsabwicklung',
+    completion: 'Abschluss der Reservierung',
+  },
+  summary: {
+    title: 'Reservierungsübersicht',
+    restaurant: 'Restaurant:',
+    date: 'Datum:',
+    time: 'Uhrzeit:',
+    partySize: 'Personenzahl:',
+    bookingId: 'Reservierungsnummer:',
+    region: 'Region:',
+    cardRequired: 'Karte erforderlich:',
+    cardNo: 'Nein',
+    cardNoShow: 'Ja (No-Show-Garantie)',
+    cardDeposit: 'Ja (Anzahlung erforderlich)',
+    cardUnknown: 'Unbekannt',
+  },
+  customer: {
+    title: 'Kontaktdaten',
+    firstName: 'Vorname',
+    firstNamePlaceholder: 'Max',
+    lastName: 'Nachname',
+    lastNamePlaceholder: 'Mustermann',
+    email: 'E-Mail',
+    emailPlaceholder: 'max.mustermann@example.com',
+    save: 'Kontaktdaten speichern',
+  },
+  validation: {
+    firstName: 'Vorname ist erforderlich',
+    lastName: 'Nachname ist erforderlich',
+    email: 'E-Mail ist erforderlich',
+    emailInvalid: 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+    phone: 'Telefonnummer ist erforderlich',
+    phoneInvalid: 'Bitte geben Sie eine gültige Telefonnummer ein',
+    submit: 'Beim Abschließen Ihrer Reservierung ist ein Fehler aufgetreten',
+  },
+  payment: {
+    title: 'Zahlung',
+    depositRequired: 'Anzahlung erforderlich:',
+    depositNote: 'Ihre Karte wird sofort belastet.',
+    noShow: 'No-Show-Garantie:',
+    noShowNote: 'Ihre Karte wird nur belastet, wenn Sie nicht erscheinen.',
+    cardDetails: 'Kartendaten',
+    paymentDetails: 'Zahlungsdaten',
+    loading: 'Stripe-Zahlungsformular wird geladen...',
+    captured: 'Kartendaten erfasst. Fahren Sie mit „Weitere Angaben“ fort und klicken Sie auf Reservierung abschließen, um die Zahlung auszuführen.',
+    alreadyConfirmed: 'Karte bereits bestätigt. Reservierung abschließen führt die Aktualisierung durch und hinterlegt die Zahlungsmethode, ohne die Karte erneut zu belasten.',
+    success: 'Zahlung erfolgreich verarbeitet!',
+    successNote: 'Bitte ergänzen Sie die weiteren Angaben unten, um Ihre Reservierung abzuschließen.',
+    stripeNotLoaded: 'Das Zahlungsformular ist noch nicht geladen. Bitte versuchen Sie es gleich noch einmal.',
+    cardIncomplete: 'Bitte vervollständigen Sie Ihre Kartendaten',
+    authenticationFailed: 'Authentifizierung fehlgeschlagen: {message}',
+  },
+  paymentError: {
+    declined: 'Ihre Karte wurde abgelehnt. Bitte verwenden Sie eine andere Karte.',
+    declinedContactBank: 'Ihre Karte wurde abgelehnt. Bitte wenden Sie sich an Ihre Bank oder verwenden Sie eine andere Karte.',
+    declinedTryLater: 'Ihre Karte wurde abgelehnt. Bitte versuchen Sie es in Kürze erneut.',
+    insufficientFunds: 'Ihre Karte ist nicht ausreichend gedeckt. Bitte verwenden Sie eine andere Karte.',
+    cardNotSupported: 'Diese Karte unterstützt diese Zahlungsart nicht. Bitte verwenden Sie eine andere Karte.',
+    currencyNotSupported: 'Diese Karte unterstützt keine Zahlungen in dieser Währung. Bitte verwenden Sie eine andere Karte.',
+    limitExceeded: 'Das Limit Ihrer Karte ist überschritten. Bitte verwenden Sie eine andere Karte.',
+    duplicate: 'Diese Zahlung scheint doppelt zu sein. Bitte klären Sie das mit Ihrer Bank, bevor Sie es erneut versuchen.',
+    expiredCard: 'Ihre Karte ist abgelaufen. Bitte verwenden Sie eine andere Karte.',
+    incorrectCvc: 'Der Sicherheitscode Ihrer Karte ist falsch. Bitte prüfen Sie ihn und versuchen Sie es erneut.',
+    invalidCvc: 'Der Sicherheitscode Ihrer Karte ist ungültig. Bitte prüfen Sie ihn und versuchen Sie es erneut.',
+    incorrectNumber: 'Ihre Kartennummer ist falsch. Bitte prüfen Sie sie und versuchen Sie es erneut.',
+    invalidNumber: 'Ihre Kartennummer ist ungültig. Bitte prüfen Sie sie und versuchen Sie es erneut.',
+    incorrectZip: 'Ihre Postleitzahl ist falsch. Bitte prüfen Sie sie und versuchen Sie es erneut.',
+    invalidExpiryMonth: 'Der Ablaufmonat Ihrer Karte ist ungültig. Bitte prüfen Sie ihn und versuchen Sie es erneut.',
+    invalidExpiryYear: 'Das Ablaufjahr Ihrer Karte ist ungültig. Bitte prüfen Sie es und versuchen Sie es erneut.',
+    authenticationRequired: 'Ihre Bank möchte, dass Sie diese Zahlung bestätigen. Bitte versuchen Sie es erneut und schließen Sie die Überprüfung ab.',
+    verificationFailed: 'Wir konnten Ihre Karte nicht bei Ihrer Bank überprüfen. Bitte versuchen Sie es erneut oder verwenden Sie eine andere Karte.',
+    notAuthorised: 'Die Zahlung konnte nicht autorisiert werden. Bitte versuchen Sie es erneut.',
+    bankUnavailable: 'Ihre Bank war nicht erreichbar. Bitte versuchen Sie es erneut.',
+    notProcessed: 'Die Zahlung konnte nicht verarbeitet werden. Bitte versuchen Sie es erneut.',
+    processingError: 'Bei der Verarbeitung Ihrer Karte ist ein Fehler aufgetreten. Bitte versuchen Sie es erneut.',
+    amountDeclined: 'Der Zahlungsbetrag wurde abgelehnt. Bitte wenden Sie sich an Ihre Bank.',
+    tooManyDeclines: 'Diese Karte wurde zu oft abgelehnt. Bitte verwenden Sie eine andere Karte.',
+    paymentAlreadyProcessed: 'Die Zahlung für diese Reservierung wurde bereits verarbeitet oder ist abgelaufen. Bitte beginnen Sie von vorn.',
+    setupAlreadyProcessed: 'Die Kartenhinterlegung für diese Reservierung wurde bereits verarbeitet oder ist abgelaufen. Bitte beginnen Sie von vorn.',
+    paymentMissing: 'Bei der Zahlung für diese Reservierung ist etwas schiefgelaufen. Bitte beginnen Sie von vorn.',
+    amountTooSmall: 'Der Anzahlungsbetrag konnte nicht verarbeitet werden. Bitte wenden Sie sich an das Restaurant.',
+    invalidDetails: 'Einige Kartenangaben sind ungültig. Bitte prüfen Sie sie und versuchen Sie es erneut.',
+    requestFailed: 'Bei dieser Zahlung ist etwas schiefgelaufen. Bitte versuchen Sie es erneut.',
+    requestFailedLater: 'Bei dieser Zahlung ist etwas schiefgelaufen. Bitte versuchen Sie es später erneut.',
+    tooManyAttempts: 'Zu viele Versuche. Bitte warten Sie einen Moment und versuchen Sie es erneut.',
+    providerUnreachable: 'Der Zahlungsanbieter war nicht erreichbar. Bitte prüfen Sie Ihre Verbindung und versuchen Sie es erneut.',
+    providerError: 'Beim Zahlungsanbieter ist ein Problem aufgetreten. Bitte versuchen Sie es erneut.',
+    unknown: 'Die Zahlung konnte nicht abgeschlossen werden. Bitte versuchen Sie es erneut.',
+    recommendedAction: 'Empfohlene Maßnahme:',
+    actions: {
+      retry: 'Erneut versuchen',
+      anotherCard: 'Andere Karte verwenden',
+      contactBank: 'Bank kontaktieren',
+    },
+  },
+  noCard: {
+    title: 'Keine Karte erforderlich',
+    body: 'Für diese Reservierung ist keine Karte erforderlich. Sie können direkt mit den weiteren Angaben fortfahren.',
+    proceed: 'Weiter zu den weiteren Angaben',
+  },
+  details: {
+    title: 'Weitere Angaben',
+    phone: 'Telefon',
+    phonePlaceholder: '+49 151 23456789',
+    notes: 'Besondere Wünsche / Anmerkungen',
+    notesPlaceholder: 'Besondere Wünsche zu Ihrer Reservierung',
+    dietary: 'Ernährungsweise',
+    dietaryPlaceholder: 'Vegetarisch, vegan usw.',
+    allergies: 'Allergien',
+    allergiesPlaceholder: 'Nüsse, Milch, Gluten usw.',
+    marketing: 'E-Mail-Newsletter',
+    marketingNote: 'Ich möchte Sonderangebote und Neuigkeiten per E-Mail erhalten.',
+    holdInvalid: 'Vormerkung nicht mehr gültig',
+    holdInvalidNote: 'Eveve kennt die Reservierung {uid} nicht mehr. Die Karte wurde nicht belastet. Setzen Sie zurück und starten Sie einen neuen Test, um neu vorzumerken.',
+    error: 'Fehler:',
+    complete: 'Reservierung abschließen',
+  },
+  done: {
+    title: 'Reservierung erfolgreich abgeschlossen!',
+    details: 'Reservierungsdetails:',
+    name: 'Name:',
+    email: 'E-Mail:',
+    phone: 'Telefon:',
+    date: 'Datum:',
+    time: 'Uhrzeit:',
+    partySize: 'Personenzahl:',
+    bookingId: 'Reservierungsnummer:',
+    payment: 'Zahlung:',
+    depositCharged: 'Anzahlung von {amount} belastet',
+    cardStored: 'Karte als No-Show-Garantie hinterlegt',
+    emailSent: 'Eine Bestätigung wurde an {email} gesendet. Bitte prüfen Sie Ihren Posteingang.',
+  },
+  secure: 'Sichere Reservierung mit Eveve & Stripe',
+};
+
+export default de;
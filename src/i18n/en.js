@@ -0,0 +1,174 @@
+/**
+ * English messages – the reference catalogue; other catalogues fall back to it key by key.
+ * Placeholders are written {name}. Plural messages are objects keyed by
+ * Intl.PluralRules category ({ one, other, ... }) and pick a form by {count}.
+ */
+const en = {
+  status: {
+    idle: 'Ready',
+    holding: 'Booking Hold...',
+    awaitingStripe: 'Retrieving Stripe Keys...',
+    enteringCard: 'Enter Payment Details',
+    cardConfirmed: 'Card Confirmed',
+    collectingUser: 'Enter Customer Details',
+    completed: 'Booking Complete',
+    error: 'Error',
+  },
+  header: {
+    status: 'Status:',
+    expiredWarning: 'Timer has expired. You may encounter an error if you proceed without resetting or completing the flow.',
+  },
+  app: {
+    completedTitle: 'Booking Completed!',
+    completedBody: 'Your test booking has been successfully processed and completed.',
+    completedLogs: 'Check the logs below for a detailed record of all API calls and responses.',
+    errorTitle: 'Error Occurred',
+    errorBody: 'An error was encountered during the booking process.',
+    errorLogs: 'Please check the logs below for details and try again.',
+  },
+  common: {
+    processing: 'Processing...',
+    required: 'Required fields',
+    guests: { one: '{count} guest', other: '{count} guests' },
+  },
+  progress: {
+    title: 'Booking Progress',
+    hold: 'Booking Hold Complete',
+    customer: 'Customer Details',
+    payment: 'Payment Processing',
+    completion: 'Booking Completion',
+  },
+  summary: {
+    title: 'Booking Summary',
+    restaurant: 'Restaurant:',
+    date: 'Date:',
+    time: 'Time:',
+    partySize: 'Party Size:',
+    bookingId: 'Booking ID:',
+    region: 'Region:',
+    cardRequired: 'Card Required:',
+    cardNo: 'No',
+    cardNoShow: 'Yes (No-Show Protection)',
+    cardDeposit: 'Yes (Deposit Required)',
+    cardUnknown: 'Unknown',
+  },
+  customer: {
+    title: 'Customer Details',
+    firstName: 'First Name',
+    firstNamePlaceholder: 'John',
+    lastName: 'Last Name',
+    lastNamePlaceholder: 'Smith',
+    email: 'Email',
+    emailPlaceholder: 'john.smith@example.com',
+    save: 'Save Customer Details',
+  },
+  validation: {
+    firstName: 'First name is required',
+    lastName: 'Last name is required',
+    email: 'Email is required',
+    emailInvalid: 'Please enter a valid email address',
+    phone: 'Phone number is required',
+    phoneInvalid: 'Please enter a valid phone number',
+    submit: 'An error occurred while finalizing your booking',
+  },
+  payment: {
+    title: 'Payment Details',
+    depositRequired: 'Deposit Required:',
+    depositNote: 'Your card will be charged immediately.',
+    noShow: 'No-Show Protection:',
+    noShowNote: 'Your card will only be charged in case of a no-show.',
+    cardDetails: 'Card Details',
+    paymentDetails: 'Payment Details',
+    loading: 'Loading Stripe payment form...',
+    captured: 'Card details captured. Continue to "Additional Details" and press Complete Booking to process payment and finalize your reservation.',
+    alreadyConfirmed: 'Card already confirmed. Complete Booking finishes the update and attaches the payment method without charging the card again.',
+    success: 'Payment successfully processed!',
+    successNote: 'Please complete the additional details below to finalize your booking.',
+    stripeNotLoaded: 'The payment form has not loaded yet. Please try again in a moment.',
+    cardIncomplete: 'Please complete your card details',
+    authenticationFailed: 'Authentication failed: {message}',
+  },
+  paymentError: {
+    declined: 'Your card was declined. Please use a different card.',
+    declinedContactBank: 'Your card was declined. Please contact your bank or use a different card.',
+    declinedTryLater: 'Your card was declined. Please try again in a little while.',
+    insufficientFunds: 'Your card has insufficient funds. Please use a different card.',
+    cardNotSupported: 'This card does not support this type of payment. Please use a different card.',
+    currencyNotSupported: 'This card does not support payments in this currency. Please use a different card.',
+    limitExceeded: 'Your card has exceeded its limit. Please use a different card.',
+    duplicate: 'This payment looks like a duplicate. Please check with your bank before trying again.',
+    expiredCard: 'Your card has expired. Please use a different card.',
+    incorrectCvc: 'Your card\'s security code is incorrect. Please check it and try again.',
+    invalidCvc: 'Your card\'s security code is invalid. Please check it and try again.',
+    incorrectNumber: 'Your card number is incorrect. Please check it and try again.',
+    invalidNumber: 'Your card number is invalid. Please check it and try again.',
+    incorrectZip: 'Your postal code is incorrect. Please check it and try again.',
+    invalidExpiryMonth: 'Your card\'s expiry month is invalid. Please check it and try again.',
+    invalidExpiryYear: 'Your card\'s expiry year is invalid. Please check it and try again.',
+    authenticationRequired: 'Your bank needs you to confirm this payment. Please try again and complete the verification.',
+    verificationFailed: 'We could not verify your card with your bank. Please try again or use a different card.',
+    notAuthorised: 'The payment could not be authorised. Please try again.',
+    bankUnavailable: 'Your bank could not be reached. Please try again.',
+    notProcessed: 'The payment could not be processed. Please try again.',
+    processingError: 'An error occurred while processing your card. Please try again.',
+    amountDeclined: 'The payment amount was declined. Please contact your bank.',
+    tooManyDeclines: 'This card has been declined too many times. Please use a different card.',
+    paymentAlreadyProcessed: 'This booking\'s payment has already been processed or has expired. Please start again.',
+    setupAlreadyProcessed: 'This booking\'s card setup has already been processed or has expired. Please start again.',
+    paymentMissing: 'Something went wrong with this booking\'s payment. Please start again.',
+    amountTooSmall: 'The deposit amount could not be processed. Please contact the restaurant.',
+    invalidDetails: 'Some card details are invalid. Please check them and try again.',
+    requestFailed: 'Something went wrong with this payment. Please try again.',
+    requestFailedLater: 'Something went wrong with this payment. Please try again later.',
+    tooManyAttempts: 'Too many attempts. Please wait a moment and try again.',
+    providerUnreachable: 'We could not reach the payment provider. Please check your connection and try again.',
+    providerError: 'The payment provider had a problem. Please try again.',
+    unknown: 'The payment could not be completed. Please try again.',
+    recommendedAction: 'Recommended action:',
+    actions: {
+      retry: 'Retry',
+      anotherCard: 'Use another card',
+      contactBank: 'Contact bank',
+    },
+  },
+  noCard: {
+    title: 'No Card Required',
+    body: 'This booking doesn\'t require a card. You can proceed directly to additional details.',
+    proceed: 'Proceed to Additional Details',
+  },
+  details: {
+    title: 'Additional Details',
+    phone: 'Phone',
+    phonePlaceholder: '+1 (555) 123-4567',
+    notes: 'Special Requests / Notes',
+    notesPlaceholder: 'Any special requests for your booking',
+    dietary: 'Dietary Requirements',
+    dietaryPlaceholder: 'Vegetarian, vegan, etc.',
+    allergies: 'Allergies',
+    allergiesPlaceholder: 'Nuts, dairy, gluten, etc.',
+    marketing: 'Email marketing',
+    marketingNote: 'I would like to receive special offers and updates via email.',
+    holdInvalid: 'Hold no longer valid',
+    holdInvalidNote: 'Eveve no longer recognises booking {uid}. The card has not been charged. Reset and start a new test to place a fresh hold.',
+    error: 'Error:',
+    complete: 'Complete Booking',
+  },
+  done: {
+    title: 'Booking Successfully Completed!',
+    details: 'Booking Details:',
+    name: 'Name:',
+    email: 'Email:',
+    phone: 'Phone:',
+    date: 'Date:',
+    time: 'Time:',
+    partySize: 'Party Size:',
+    bookingId: 'Booking ID:',
+    payment: 'Payment:',
+    depositCharged: 'Deposit of {amount} charged',
+    cardStored: 'Card stored for no-show protection',
+    emailSent: 'A confirmation email has been sent to {email}. Please check your inbox for booking details.',
+  },
+  secure: 'Secure booking powered by Eveve & Stripe',
+};
+
+export default en;
@@ -0,0 +1,172 @@
+/**
+ * Spanish messages
+ */
+const es = {
+  status: {
+    idle: 'Listo',
+    holding: 'Reservando...',
+    awaitingStripe: 'Obteniendo claves de Stripe...',
+    enteringCard: 'Introduzca los datos de pago',
+    cardConfirmed: 'Tarjeta confirmada',
+    collectingUser: 'Introduzca sus datos',
+    completed: 'Reserva completada',
+    error: 'Error',
+  },
+  header: {
+    status: 'Estado:',
+    expiredWarning: 'El tiempo ha expirado. Puede producirse un error si continúa sin reiniciar o completar la reserva.',
+  },
+  app: {
+    completedTitle: '¡Reserva completada!',
+    completedBody: 'Su reserva de prueba se ha procesado y completado correctamente.',
+    completedLogs: 'Consulte el registro de abajo para ver el detalle de las llamadas a la API y sus respuestas.',
+    errorTitle: 'Se ha producido un error',
+    errorBody: 'Se ha producido un error durante la reserva.',
+    errorLogs: 'Consulte el registro de abajo para más detalles e inténtelo de nuevo.',
+  },
+  common: {
+    processing: 'Procesando...',
+    required: 'Campos obligatorios',
+    guests: { one: '{count} persona', other: '{count} personas' },
+  },
+  progress: {
+    title: 'Progreso de la reserva',
+    hold: 'Reserva retenida',
+    customer: 'Datos personales',
+    payment: 'Procesando el pago',
+    completion: 'Finalización de la reserva',
+  },
+  summary: {
+    title: 'Resumen de la reserva',
+    restaurant: 'Restaurante:',
+    date: 'Fecha:',
+    time: 'Hora:',
+    partySize: 'Número de personas:',
+    bookingId: 'N.º de reserva:',
+    region: 'Región:',
+    cardRequired: 'Tarjeta requerida:',
+    cardNo: 'No',
+    cardNoShow: 'Sí (garantía por no presentarse)',
+    cardDeposit: 'Sí (depósito requerido)',
+    cardUnknown: 'Desconocido',
+  },
+  customer: {
+    title: 'Datos personales',
+    firstName: 'Nombre',
+    firstNamePlaceholder: 'Juan',
+    lastName: 'Apellidos',
+    lastNamePlaceholder: 'García',
+    email: 'Correo electrónico',
+    emailPlaceholder: 'juan.garcia@example.com',
+    save: 'Guardar datos',
+  },
+  validation: {
+    firstName: 'El nombre es obligatorio',
+    lastName: 'Los apellidos son obligatorios',
+    email: 'El correo electrónico es obligatorio',
+    emailInvalid: 'Introduzca un correo electrónico válido',
+    phone: 'El teléfono es obligatorio',
+    phoneInvalid: 'Introduzca un número de teléfono válido',
+    submit: 'Se ha producido un error al finalizar su reserva',
+  },
+  payment: {
+    title: 'Pago',
+    depositRequired: 'Depósito requerido:',
+    depositNote: 'Se cargará en su tarjeta inmediatamente.',
+    noShow: 'Garantía por no presentarse:',
+    noShowNote: 'Solo se cargará en su tarjeta si no se presenta.',
+    cardDetails: 'Datos de la tarjeta',
+    paymentDetails: 'Datos de pago',
+    loading: 'Cargando el formulario de pago de Stripe...',
+    captured: 'Datos de la tarjeta introducidos. Continúe en «Datos adicionales» y pulse Completar reserva para realizar el pago.',
+    alreadyConfirmed: 'Tarjeta ya confirmada. Completar reserva finaliza la actualización y asocia el método de pago sin volver a cargar la tarjeta.',
+    success: '¡Pago procesado correctamente!',
+    successNote: 'Complete los datos adicionales de abajo para finalizar su reserva.',
+    stripeNotLoaded: 'El formulario de pago aún no se ha cargado. Vuelva a intentarlo en un momento.',
+    cardIncomplete: 'Complete los datos de su tarjeta',
+    authenticationFailed: 'Error de autenticación: {message}',
+  },
+  paymentError: {
+    declined: 'Su tarjeta ha sido rechazada. Utilice otra tarjeta.',
+    declinedContactBank: 'Su tarjeta ha sido rechazada. Póngase en contacto con su banco o utilice otra tarjeta.',
+    declinedTryLater: 'Su tarjeta ha sido rechazada. Vuelva a intentarlo dentro de un rato.',
+    insufficientFunds: 'Su tarjeta no tiene fondos suficientes. Utilice otra tarjeta.',
+    cardNotSupported: 'Esta tarjeta no admite este tipo de pago. Utilice otra tarjeta.',
+    currencyNotSupported: 'Esta tarjeta no admite pagos en esta moneda. Utilice otra tarjeta.',
+    limitExceeded: 'Su tarjeta ha superado su límite. Utilice otra tarjeta.',
+    duplicate: 'Este pago parece estar duplicado. Consulte con su banco antes de volver a intentarlo.',
+    expiredCard: 'Su tarjeta ha caducado. Utilice otra tarjeta.',
+    incorrectCvc: 'El código de seguridad de su tarjeta es incorrecto. Compruébelo y vuelva a intentarlo.',
+    invalidCvc: 'El código de seguridad de su tarjeta no es válido. Compruébelo y vuelva a intentarlo.',
+    incorrectNumber: 'El número de su tarjeta es incorrecto. Compruébelo y vuelva a intentarlo.',
+    invalidNumber: 'El número de su tarjeta no es válido. Compruébelo y vuelva a intentarlo.',
+    incorrectZip: 'Su código postal es incorrecto. Compruébelo y vuelva a intentarlo.',
+    invalidExpiryMonth: 'El mes de caducidad de su tarjeta no es válido. Compruébelo y vuelva a intentarlo.',
+    invalidExpiryYear: 'El año de caducidad de su tarjeta no es válido. Compruébelo y vuelva a intentarlo.',
+    authenticationRequired: 'Su banco necesita que confirme este pago. Vuelva a intentarlo y complete la verificación.',
+    verificationFailed: 'No hemos podido verificar su tarjeta con su banco. Vuelva a intentarlo o utilice otra tarjeta.',
+    notAuthorised: 'No se ha podido autorizar el pago. Vuelva a intentarlo.',
+    bankUnavailable: 'No se ha podido contactar con su banco. Vuelva a intentarlo.',
+    notProcessed: 'No se ha podido procesar el pago. Vuelva a intentarlo.',
+    processingError: 'Se ha producido un error al procesar su tarjeta. Vuelva a intentarlo.',
+    amountDeclined: 'El importe del pago ha sido rechazado. Póngase en contacto con su banco.',
+    tooManyDeclines: 'Esta tarjeta ha sido rechazada demasiadas veces. Utilice otra tarjeta.',
+    paymentAlreadyProcessed: 'El pago de esta reserva ya se ha procesado o ha caducado. Vuelva a empezar.',
+    setupAlreadyProcessed: 'El registro de la tarjeta para esta reserva ya se ha procesado o ha caducado. Vuelva a empezar.',
+    paymentMissing: 'Algo ha fallado con el pago de esta reserva. Vuelva a empezar.',
+    amountTooSmall: 'No se ha podido procesar el importe del depósito. Póngase en contacto con el restaurante.',
+    invalidDetails: 'Algunos datos de la tarjeta no son válidos. Compruébelos y vuelva a intentarlo.',
+    requestFailed: 'Algo ha fallado con este pago. Vuelva a intentarlo.',
+    requestFailedLater: 'Algo ha fallado con este pago. Vuelva a intentarlo más tarde.',
+    tooManyAttempts: 'Demasiados intentos. Espere un momento y vuelva a intentarlo.',
+    providerUnreachable: 'No hemos podido conectar con el proveedor de pagos. Compruebe su conexión y vuelva a intentarlo.',
+    providerError: 'El proveedor de pagos ha tenido un problema. Vuelva a intentarlo.',
+    unknown: 'No se ha podido completar el pago. Vuelva a intentarlo.',
+    recommendedAction: 'Acción recomendada:',
+    actions: {
+      retry: 'Reintentar',
+      anotherCard: 'Usar otra tarjeta',
+      contactBank: 'Contactar con el banco',
+    },
+  },
+  noCard: {
+    title: 'No se requiere tarjeta',
+    body: 'Esta reserva no requiere tarjeta. Puede pasar directamente a los datos adicionales.',
+    proceed: 'Ir a los datos adicionales',
+  },
+  details: {
+    title: 'Datos adicionales',
+    phone: 'Teléfono',
+    phonePlaceholder: '+34 612 34 56 78',
+    notes: 'Peticiones especiales / notas',
+    notesPlaceholder: 'Cualquier petición especial para su reserva',
+    dietary: 'Requisitos alimentarios',
+    dietaryPlaceholder: 'Vegetariano, vegano, etc.',
+    allergies: 'Alergias',
+    allergiesPlaceholder: 'Frutos secos, lácteos, gluten, etc.',
+    marketing: 'Comunicaciones por correo',
+    marketingNote: 'Deseo recibir ofertas especiales y novedades por correo electrónico.',
+    holdInvalid: 'La retención ya no es válida',
+    holdInvalidNote: 'Eveve ya no reconoce la reserva {uid}. No se ha cargado la tarjeta. Reinicie y empiece una nueva prueba para retener otra reserva.',
+    error: 'Error:',
+    complete: 'Completar reserva',
+  },
+  done: {
+    title: '¡Reserva completada correctamente!',
+    details: 'Detalles de la reserva:',
+    name: 'Nombre:',
+    email: 'Correo electrónico:',
+    phone: 'Teléfono:',
+    date: 'Fecha:',
+    time: 'Hora:',
+    partySize: 'Número de personas:',
+    bookingId: 'N.º de reserva:',
+    payment: 'Pago:',
+    depositCharged: 'Depósito de {amount} cargado',
+    cardStored: 'Tarjeta guardada como garantía por no presentarse',
+    emailSent: 'Se ha enviado un correo de confirmación a {email}. Revise su bandeja de entrada.',
+  },
+  secure: 'Reserva segura con Eveve & Stripe',
+};
+
+export default es;
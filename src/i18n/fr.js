@@ -0,0 +1,172 @@
+/**
+ * French messages
+ */
+const fr = {
+  status: {
+    idle: 'Prêt',
+    holding: 'Réservation en attente...',
+    awaitingStripe: 'Récupération des clés Stripe...',
+    enteringCard: 'Saisissez vos informations de paiement',
+    cardConfirmed: 'Carte confirmée',
+    collectingUser: 'Saisissez vos coordonnées',
+    completed: 'Réservation terminée',
+    error: 'Erreur',
+  },
+  header: {
+    status: 'Statut :',
+    expiredWarning: 'Le délai a expiré. Une erreur peut survenir si vous continuez sans réinitialiser ou terminer la réservation.',
+  },
+  app: {
+    completedTitle: 'Réservation terminée !',
+    completedBody: 'Votre réservation de test a bien été traitée et finalisée.',
+    completedLogs: 'Consultez le journal ci-dessous pour le détail des appels API et des réponses.',
+    errorTitle: 'Une erreur est survenue',
+    errorBody: 'Une erreur s\'est produite pendant la réservation.',
+    errorLogs: 'Consultez le journal ci-dessous pour plus de détails, puis réessayez.',
+  },
+  common: {
+    processing: 'Traitement...',
+    required: 'Champs obligatoires',
+    guests: { one: '{count} personne', other: '{count} personnes' },
+  },
+  progress: {
+    title: 'Progression de la réservation',
+    hold: 'Réservation bloquée',
+    customer: 'Coordonnées',
+    payment: 'Traitement du paiement',
+    completion: 'Finalisation de la réservation',
+  },
+  summary: {
+    title: 'Récapitulatif de la réservation',
+    restaurant: 'Restaurant :',
+    date: 'Date :',
+    time: 'Heure :',
+    partySize: 'Nombre de personnes :',
+    bookingId: 'N° de réservation :',
+    region: 'Région :',
+    cardRequired: 'Carte requise :',
+    cardNo: 'Non',
+    cardNoShow: 'Oui (garantie en cas d\'absence)',
+    cardDeposit: 'Oui (acompte requis)',
+    cardUnknown: 'Inconnu',
+  },
+  customer: {
+    title: 'Vos coordonnées',
+    firstName: 'Prénom',
+    firstNamePlaceholder: 'Jean',
+    lastName: 'Nom',
+    lastNamePlaceholder: 'Dupont',
+    email: 'E-mail',
+    emailPlaceholder: 'jean.dupont@example.com',
+    save: 'Enregistrer les coordonnées',
+  },
+  validation: {
+    firstName: 'Le prénom est obligatoire',
+    lastName: 'Le nom est obligatoire',
+    email: 'L\'e-mail est obligatoire',
+    emailInvalid: 'Veuillez saisir une adresse e-mail valide',
+    phone: 'Le numéro de téléphone est obligatoire',
+    phoneInvalid: 'Veuillez saisir un numéro de téléphone valide',
+    submit: 'Une erreur est survenue lors de la finalisation de votre réservation',
+  },
+  payment: {
+    title: 'Paiement',
+    depositRequired: 'Acompte requis :',
+    depositNote: 'Votre carte sera débitée immédiatement.',
+    noShow: 'Garantie en cas d\'absence :',
+    noShowNote: 'Votre carte ne sera débitée qu\'en cas d\'absence.',
+    cardDetails: 'Informations de carte',
+    paymentDetails: 'Informations de paiement',
+    loading: 'Chargement du formulaire de paiement Stripe...',
+    captured: 'Informations de carte saisies. Passez à « Informations complémentaires » et cliquez sur Terminer la réservation pour procéder au paiement.',
+    alreadyConfirmed: 'Carte déjà confirmée. Terminer la réservation finalise la mise à jour et associe le moyen de paiement sans débiter la carte une seconde fois.',
+    success: 'Paiement effectué avec succès !',
+    successNote: 'Veuillez compléter les informations ci-dessous pour finaliser votre réservation.',
+    stripeNotLoaded: 'Le formulaire de paiement n\'est pas encore chargé. Veuillez réessayer dans un instant.',
+    cardIncomplete: 'Veuillez compléter les informations de votre carte',
+    authenticationFailed: 'Échec de l\'authentification : {message}',
+  },
+  paymentError: {
+    declined: 'Votre carte a été refusée. Veuillez utiliser une autre carte.',
+    declinedContactBank: 'Votre carte a été refusée. Veuillez contacter votre banque ou utiliser une autre carte.',
+    declinedTryLater: 'Votre carte a été refusée. Veuillez réessayer dans quelques instants.',
+    insufficientFunds: 'Le solde de votre carte est insuffisant. Veuillez utiliser une autre carte.',
+    cardNotSupported: 'Cette carte ne permet pas ce type de paiement. Veuillez utiliser une autre carte.',
+    currencyNotSupported: 'Cette carte ne permet pas les paiements dans cette devise. Veuillez utiliser une autre carte.',
+    limitExceeded: 'Votre carte a dépassé son plafond. Veuillez utiliser une autre carte.',
+    duplicate: 'Ce paiement semble être un doublon. Veuillez vérifier auprès de votre banque avant de réessayer.',
+    expiredCard: 'Votre carte a expiré. Veuillez utiliser une autre carte.',
+    incorrectCvc: 'Le code de sécurité de votre carte est incorrect. Veuillez le vérifier et réessayer.',
+    invalidCvc: 'Le code de sécurité de votre carte n\'est pas valide. Veuillez le vérifier et réessayer.',
+    incorrectNumber: 'Le numéro de votre carte est incorrect. Veuillez le vérifier et réessayer.',
+    invalidNumber: 'Le numéro de votre carte n\'est pas valide. Veuillez le vérifier et réessayer.',
+    incorrectZip: 'Votre code postal est incorrect. Veuillez le vérifier et réessayer.',
+    invalidExpiryMonth: 'Le mois d\'expiration de votre carte n\'est pas valide. Veuillez le vérifier et réessayer.',
+    invalidExpiryYear: 'L\'année d\'expiration de votre carte n\'est pas valide. Veuillez la vérifier et réessayer.',
+    authenticationRequired: 'Votre banque vous demande de confirmer ce paiement. Veuillez réessayer et terminer la vérification.',
+    verificationFailed: 'Nous n\'avons pas pu vérifier votre carte auprès de votre banque. Veuillez réessayer ou utiliser une autre carte.',
+    notAuthorised: 'Le paiement n\'a pas pu être autorisé. Veuillez réessayer.',
+    bankUnavailable: 'Votre banque n\'a pas pu être contactée. Veuillez réessayer.',
+    notProcessed: 'Le paiement n\'a pas pu être traité. Veuillez réessayer.',
+    processingError: 'Une erreur est survenue lors du traitement de votre carte. Veuillez réessayer.',
+    amountDeclined: 'Le montant du paiement a été refusé. Veuillez contacter votre banque.',
+    tooManyDeclines: 'Cette carte a été refusée trop de fois. Veuillez utiliser une autre carte.',
+    paymentAlreadyProcessed: 'Le paiement de cette réservation a déjà été traité ou a expiré. Veuillez recommencer.',
+    setupAlreadyProcessed: 'L\'enregistrement de la carte pour cette réservation a déjà été traité ou a expiré. Veuillez recommencer.',
+    paymentMissing: 'Un problème est survenu avec le paiement de cette réservation. Veuillez recommencer.',
+    amountTooSmall: 'Le montant de l\'acompte n\'a pas pu être traité. Veuillez contacter le restaurant.',
+    invalidDetails: 'Certaines informations de carte ne sont pas valides. Veuillez les vérifier et réessayer.',
+    requestFailed: 'Un problème est survenu avec ce paiement. Veuillez réessayer.',
+    requestFailedLater: 'Un problème est survenu avec ce paiement. Veuillez réessayer plus tard.',
+    tooManyAttempts: 'Trop de tentatives. Veuillez patienter un instant et réessayer.',
+    providerUnreachable: 'Impossible de joindre le prestataire de paiement. Veuillez vérifier votre connexion et réessayer.',
+    providerError: 'Le prestataire de paiement a rencontré un problème. Veuillez réessayer.',
+    unknown: 'Le paiement n\'a pas pu être finalisé. Veuillez réessayer.',
+    recommendedAction: 'Action recommandée :',
+    actions: {
+      retry: 'Réessayer',
+      anotherCard: 'Utiliser une autre carte',
+      contactBank: 'Contacter la banque',
+    },
+  },
+  noCard: {
+    title: 'Aucune carte requise',
+    body: 'Cette réservation ne nécessite pas de carte. Vous pouvez passer directement aux informations complémentaires.',
+    proceed: 'Passer aux informations complémentaires',
+  },
+  details: {
+    title: 'Informations complémentaires',
+    phone: 'Téléphone',
+    phonePlaceholder: '+33 6 12 34 56 78',
+    notes: 'Demandes particulières / remarques',
+    notesPlaceholder: 'Vos demandes particulières pour cette réservation',
+    dietary: 'Régime alimentaire',
+    dietaryPlaceholder: 'Végétarien, végan, etc.',
+    allergies: 'Allergies',
+    allergiesPlaceholder: 'Fruits à coque, lait, gluten, etc.',
+    marketing: 'Offres par e-mail',
+    marketingNote: 'Je souhaite recevoir des offres spéciales et des actualités par e-mail.',
+    holdInvalid: 'Réservation expirée',
+    holdInvalidNote: 'Eveve ne reconnaît plus la réservation {uid}. La carte n\'a pas été débitée. Réinitialisez et relancez un test pour bloquer une nouvelle réservation.',
+    error: 'Erreur :',
+    complete: 'Terminer la réservation',
+  },
+  done: {
+    title: 'Réservation confirmée !',
+    details: 'Détails de la réservation :',
+    name: 'Nom :',
+    email: 'E-mail :',
+    phone: 'Téléphone :',
+    date: 'Date :',
+    time: 'Heure :',
+    partySize: 'Nombre de personnes :',
+    bookingId: 'N° de réservation :',
+    payment: 'Paiement :',
+    depositCharged: 'Acompte de {amount} débité',
+    cardStored: 'Carte enregistrée en garantie en cas d\'absence',
+    emailSent: 'Un e-mail de confirmation a été envoyé à {email}. Consultez votre boîte de réception pour les détails.',
+  },
+  secure: 'Réservation sécurisée par Eveve & Stripe',
+};
+
+export default fr;
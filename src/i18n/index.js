@@ -0,0 +1,85 @@
+/**
+ * Guest-facing translations.
+ *
+ * The booking language comes from the HOLD `lng` parameter. It selects the
+ * message catalogue and the date / money locale, and is mapped to the
+ * language names Eveve and Stripe expect. Developer tooling stays English.
+ */
+import en from './en';
+import fr from './fr';
+import de from './de';
+import es from './es';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const CATALOGUES = { en, fr, de, es };
+
+// HOLD lng → Intl locale, deposit-get `lang` and Stripe Elements locale
+export const LANGUAGES = {
+  en: { label: 'English', locale: 'en-US', eveve: 'english', stripe: 'en' },
+  fr: { label: 'Français', locale: 'fr-FR', eveve: 'french', stripe: 'fr' },
+  de: { label: 'Deutsch', locale: 'de-DE', eveve: 'german', stripe: 'de' },
+  es: { label: 'Español', locale: 'es-ES', eveve: 'spanish', stripe: 'es' },
+  it: { label: 'Italiano', locale: 'it-IT', eveve: 'italian', stripe: 'it' },
+  nl: { label: 'Nederlands', locale: 'nl-NL', eveve: 'dutch', stripe: 'nl' },
+  pt: { label: 'Português', locale: 'pt-PT', eveve: 'portuguese', stripe: 'pt' },
+  zh: { label: '中文', locale: 'zh-CN', eveve: 'chinese', stripe: 'zh' },
+};
+
+/**
+ * Normalise a HOLD lng value to a known language code
+ * @param {string|null} lng - e.g. 'fr', 'FR' or 'fr-CA'
+ * @returns {string} - Key of LANGUAGES, DEFAULT_LANGUAGE when unknown
+ */
+export const resolveLanguage = (lng) => {
+  const code = (lng || '').toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Language settings for a HOLD lng value
+ * @param {string|null} lng - HOLD lng
+ * @returns {Object} - { code, label, locale, eveve, stripe, translated }
+ */
+export const getLanguage = (lng) => {
+  const code = resolveLanguage(lng);
+  return { code, ...LANGUAGES[code], translated: !!CATALOGUES[code] };
+};
+
+// Look up a dotted key ('summary.date') in a catalogue
+const lookup = (catalogue, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+
+// Plural messages are objects keyed by Intl.PluralRules category ({ one, other, ... })
+const selectPlural = (message, code, count) => {
+  if (!message || typeof message !== 'object' || typeof message.other !== 'string') return message;
+  const category = new Intl.PluralRules(LANGUAGES[code].locale).select(Number(count));
+  return message[category] ?? message.other;
+};
+
+/**
+ * Translate a message key
+ * @param {string|null} lng - HOLD lng
+ * @param {string} key - Dotted message key, e.g. 'summary.date'
+ * @param {Object} params - Values for {placeholders}; plural messages pick their form from params.count
+ * @returns {string} - Message in the booking language, else English, else the key itself
+ */
+export const translate = (lng, key, params = {}) => {
+  const code = resolveLanguage(lng);
+  const translated = lookup(CATALOGUES[code], key);
+  const message = translated !== undefined
+    ? selectPlural(translated, code, params.count)
+    : selectPlural(lookup(en, key), DEFAULT_LANGUAGE, params.count);
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+export default {
+  DEFAULT_LANGUAGE,
+  CATALOGUES,
+  LANGUAGES,
+  resolveLanguage,
+  getLanguage,
+  translate,
+};